@@ -0,0 +1,84 @@
+// addresses.js — address types and the default address
+//
+// Every customer with live addresses has exactly one default address (see
+// migrations/<dialect>/005_address_types). The helpers here keep that true: the first
+// address a customer gets becomes the default, and moving the default clears the old one
+// first, since the database allows at most one live default at any moment.
+// All of them must be called inside a transaction and record their changes in the audit log.
+
+const { recordChange } = require('./audit');
+
+const ADDRESS_TYPES = ['home', 'billing', 'shipping', 'other'];
+const DEFAULT_ADDRESS_TYPE = 'other';
+
+// The customer's live default address, locked, or null
+async function lockDefaultAddress(client, customerId) {
+  const sql = "SELECT * FROM addresses WHERE customer_id = $1 AND is_default = TRUE AND deleted_at IS NULL FOR UPDATE";
+  const result = await client.query(sql, [customerId]);
+  return result.rows[0] || null;
+}
+
+async function setDefaultFlag(client, address, isDefault, actor) {
+  const result = await client.query("UPDATE addresses SET is_default = $1 WHERE id = $2 RETURNING *", [isDefault, address.id]);
+  await recordChange(client, { entityType: 'address', action: 'update', actor, before: address, after: result.rows[0] });
+  return result.rows[0];
+}
+
+// Adds an address for the customer and returns the new row. It becomes the default when
+// `makeDefault` is set or the customer has no default address yet.
+async function insertAddress(client, customerId, input, { actor, makeDefault = false }) {
+  const current = await lockDefaultAddress(client, customerId);
+  if (current && makeDefault) {
+    await setDefaultFlag(client, current, false, actor);
+  }
+  const sql = `
+    INSERT INTO addresses (customer_id, address_type, address_details, city, state, pin_code, is_default)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `;
+  const result = await client.query(sql, [
+    customerId,
+    input.address_type || DEFAULT_ADDRESS_TYPE,
+    input.address_details,
+    input.city,
+    input.state,
+    input.pin_code,
+    makeDefault || !current,
+  ]);
+  await recordChange(client, { entityType: 'address', action: 'create', actor, after: result.rows[0] });
+  return result.rows[0];
+}
+
+// Makes `address` (a live row locked by the caller) its customer's default and returns the updated row
+async function makeDefaultAddress(client, address, { actor }) {
+  if (address.is_default) {
+    return address;
+  }
+  const current = await lockDefaultAddress(client, address.customer_id);
+  if (current) {
+    await setDefaultFlag(client, current, false, actor);
+  }
+  return setDefaultFlag(client, address, true, actor);
+}
+
+// The customer's oldest live address other than `address`, locked, to take over as default; null if there's none
+async function lockSuccessor(client, address) {
+  const sql = `
+    SELECT * FROM addresses
+    WHERE customer_id = $1 AND id <> $2 AND deleted_at IS NULL
+    ORDER BY id
+    LIMIT 1
+    FOR UPDATE
+  `;
+  const result = await client.query(sql, [address.customer_id, address.id]);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  ADDRESS_TYPES,
+  DEFAULT_ADDRESS_TYPE,
+  lockDefaultAddress,
+  insertAddress,
+  makeDefaultAddress,
+  lockSuccessor,
+};
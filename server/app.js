@@ -0,0 +1,1027 @@
+const express = require('express');
+const cors = require('cors'); // Fixed: Changed 'carg' to 'cors'
+const swaggerUi = require('swagger-ui-express');
+const { authenticate, requireRole } = require('./middleware/auth');
+const { recordChange, actorOf } = require('./audit');
+const { validate, validationFailed, checkPinCode, withWarnings } = require('./middleware/validate');
+const { setETag, setETagWithChildren, ifMatch } = require('./middleware/preconditions');
+const { IdempotencyError, idempotencyKey, claimIdempotencyKey, sendReplay } = require('./middleware/idempotency');
+const { MemoryStore, rateLimit } = require('./middleware/rateLimit');
+const { requestLog } = require('./middleware/requestLog');
+const { lookupPinCode } = require('./pincodes');
+const { SCHEMAS, findDuplicateCustomer } = require('./validation');
+const { insertAddress, makeDefaultAddress } = require('./addresses');
+const {
+  CustomerError,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+} = require('./customers');
+const { MergeError, findDuplicateGroups, mergeCustomers } = require('./duplicates');
+const { ImportError, importFormat, readRows, importCustomers } = require('./importer');
+const { FORMATS: EXPORT_FORMATS, QUERY_SCHEMA: EXPORT_QUERY_SCHEMA, createWriter } = require('./exporter');
+const { customerSearch, roundRelevance, customerListFilters, filteredCustomerIds } = require('./search');
+const { createSecret, publicSubscription } = require('./webhooks');
+const { createChangeFeed } = require('./changefeed');
+const { graphqlHandler, rateLimitBudget } = require('./graphql');
+const { config } = require('./config');
+const openapi = require('./openapi');
+const { logger } = require('./logger');
+const { metricsHandler } = require('./metrics');
+const { liveness, readinessHandler } = require('./health');
+const {
+  SEARCH_SORT_KEYS,
+  TRASH_SORT_KEYS,
+  PaginationError,
+  parseLimit,
+  parsePageParams,
+  keysetCondition,
+  orderByClause,
+  cursorSelect,
+  takePage,
+} = require('./pagination');
+
+// Address columns, for dialects that can't aggregate a whole row as JSON
+const ADDRESS_COLUMNS = [
+  'id', 'customer_id', 'address_type', 'address_details', 'city', 'state', 'pin_code',
+  { name: 'is_default', type: 'boolean' }, 'deleted_at', 'version',
+];
+
+// Sends the response for a CustomerError from customers.js
+function sendCustomerError(res, err) {
+  if (err.status === 422) {
+    return validationFailed(res, err.errors);
+  }
+  if (err.status === 412) {
+    setETag(res, err.current);
+    return res.status(412).json({ error: err.message, version: err.current.version });
+  }
+  return res.status(err.status).json({ error: err.message, field: err.field });
+}
+
+// POST /api/customers/import, however the path is written (routes ignore case and a trailing slash)
+function isImportRequest(req) {
+  return req.method === 'POST' && req.path.replace(/\/+$/, '').toLowerCase() === '/api/customers/import';
+}
+
+// Builds the Express app on `db` (db.js, or anything with the same query/getClient/dialect interface).
+// It doesn't listen or start background work; index.js does that.
+function createApp({ db }) {
+  const app = express();
+  const changeFeed = createChangeFeed(db);
+  // For the entrypoint (index.js) and the tests
+  app.locals.db = db;
+  app.locals.changeFeed = changeFeed;
+
+  // Health probes (see health.js); ahead of the request logs, which they'd flood
+  app.get('/healthz', liveness);
+  app.get('/readyz', readinessHandler({ db }));
+
+  // Middleware
+  app.use(requestLog);
+  app.use(cors({
+    // CORS_ORIGINS: * allows any origin, otherwise only the listed ones
+    origin: config.corsOrigins.includes('*') ? '*' : config.corsOrigins,
+    exposedHeaders: ['ETag', 'X-Request-Id', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After', 'Idempotent-Replayed'],
+  }));
+  // Import uploads are streamed by their route (importer.js) whatever their Content-Type, so
+  // ?format=jsonl with application/json reaches it unread
+  const jsonParser = express.json({ limit: config.jsonBodyLimit });
+  app.use((req, res, next) => (isImportRequest(req) ? next() : jsonParser(req, res, next)));
+
+  // Behind a proxy or load balancer, TRUST_PROXY (the number of hops) makes req.ip — which
+  // rate limiting falls back to — the client's address rather than the proxy's
+  if (config.trustProxy > 0) {
+    app.set('trust proxy', config.trustProxy);
+  }
+
+  // Prometheus metrics (see metrics.js), optionally behind METRICS_TOKEN rather than API credentials
+  app.get('/metrics', metricsHandler);
+
+  // The OpenAPI document and Swagger UI are public; they come before authentication
+  app.get('/api/openapi.json', (req, res) => res.json(openapi));
+  app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(null, { swaggerOptions: { url: '/api/openapi.json' } }));
+
+  // Rate limits (see middleware/rateLimit.js); /api and /graphql share the counters.
+  // Search, export, duplicate detection and import have their own, smaller budget.
+  const rateLimitStore = new MemoryStore();
+  const apiRateLimit = rateLimit({
+    store: rateLimitStore,
+    expensive: ['/customers/search', '/customers/export', '/customers/duplicates', '/customers/import'],
+  });
+
+  // Every API route needs an API key or JWT; reads are open to any role, writes need at least editor.
+  // Admin-only routes add requireRole('admin') themselves.
+  app.use('/api', apiRateLimit, authenticate, (req, res, next) => {
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      return next();
+    }
+    return requireRole('editor')(req, res, next);
+  });
+
+  // Idempotency-Key on the create routes (see middleware/idempotency.js)
+  const idempotent = idempotencyKey({ db });
+
+  // GraphQL over the same customers and addresses (see graphql.js); resolvers check roles themselves
+  const graphql = graphqlHandler({ db });
+  app.route('/graphql')
+    .all(rateLimit({ store: rateLimitStore, budget: rateLimitBudget }), authenticate)
+    .get(graphql)
+    .post(graphql);
+
+  // PUT /api/customers/:id — Update customer + optional address
+  app.put('/api/customers/:id', validate({ params: SCHEMAS.idParam, body: SCHEMAS.customerUpdate }), checkPinCode, async (req, res) => {
+    const { first_name, last_name, phone_number, address_type, address_details, city, state, pin_code } = req.body;
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const actor = actorOf(req);
+      const customer = await updateCustomer(client, req.params.id, { first_name, last_name, phone_number }, { actor, precondition: ifMatch(req) });
+
+      // If address is also being updated
+      if (address_details) {
+        await insertAddress(client, customer.id, { address_type, address_details, city, state, pin_code }, { actor });
+      }
+
+      await client.query('COMMIT');
+      setETag(res, customer);
+      res.json(withWarnings(res, { message: address_details ? "Customer and address updated successfully." : "Customer updated successfully." }));
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err instanceof CustomerError) {
+        return sendCustomerError(res, err);
+      }
+      res.status(500).json({ error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  // PATCH /api/customers/:id — Update only the given customer fields (addresses have their own routes)
+  app.patch('/api/customers/:id', validate({ params: SCHEMAS.idParam, body: SCHEMAS.customerPatch }), async (req, res) => {
+    if (Object.keys(req.body).length === 0) {
+      return validationFailed(res, [{ field: null, error: "Give at least one field to update." }]);
+    }
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const customer = await updateCustomer(client, req.params.id, req.body, { actor: actorOf(req), precondition: ifMatch(req) });
+      await client.query('COMMIT');
+      setETag(res, customer);
+      res.json({ data: customer });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err instanceof CustomerError) {
+        return sendCustomerError(res, err);
+      }
+      res.status(500).json({ error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  // POST /api/addresses — Add new address
+  app.post('/api/addresses', validate({ body: SCHEMAS.newAddressWithCustomer }), idempotent, checkPinCode, async (req, res) => {
+    const { customer_id, is_default, ...input } = req.body;
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const idempotency = await claimIdempotencyKey(client, req);
+      if (idempotency.replay) {
+        await client.query('COMMIT');
+        return sendReplay(res, idempotency.replay);
+      }
+      const address = await addAddress(client, customer_id, input, { actor: actorOf(req), makeDefault: is_default === true });
+      const body = withWarnings(res, { address });
+      await idempotency.save(201, body);
+      await client.query('COMMIT');
+      res.status(201).json(body);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err instanceof CustomerError) {
+        return sendCustomerError(res, err);
+      }
+      if (err instanceof IdempotencyError) {
+        return validationFailed(res, [{ field: 'Idempotency-Key', error: err.message }]);
+      }
+      res.status(500).json({ error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  // PUT /api/addresses/:id — Update address
+  // The type is kept when it isn't sent; the default moves through POST /api/customers/:id/addresses/:addressId/default
+  app.put('/api/addresses/:id', validate({ params: SCHEMAS.idParam, body: SCHEMAS.addressUpdate }), async (req, res) => {
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const { address, warnings } = await updateAddress(client, req.params.id, req.body, { actor: actorOf(req), precondition: ifMatch(req) });
+      await client.query('COMMIT');
+      res.locals.warnings = warnings;
+      setETag(res, address);
+      res.json(withWarnings(res, { address }));
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err instanceof CustomerError) {
+        return sendCustomerError(res, err);
+      }
+      res.status(500).json({ error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  // PATCH /api/addresses/:id — Update only the given address fields
+  app.patch('/api/addresses/:id', validate({ params: SCHEMAS.idParam, body: SCHEMAS.addressPatch }), async (req, res) => {
+    if (Object.keys(req.body).length === 0) {
+      return validationFailed(res, [{ field: null, error: "Give at least one field to update." }]);
+    }
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const { address, warnings } = await updateAddress(client, req.params.id, req.body, { actor: actorOf(req), precondition: ifMatch(req) });
+      await client.query('COMMIT');
+      res.locals.warnings = warnings;
+      setETag(res, address);
+      res.json(withWarnings(res, { address }));
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err instanceof CustomerError) {
+        return sendCustomerError(res, err);
+      }
+      res.status(500).json({ error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  // DELETE /api/addresses/:id — soft delete; deleting the default address makes the oldest remaining one the default
+  app.delete('/api/addresses/:id', validate({ params: SCHEMAS.idParam }), async (req, res) => {
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const { defaultAddressId } = await deleteAddress(client, req.params.id, { actor: actorOf(req), precondition: ifMatch(req) });
+      await client.query('COMMIT');
+      const body = { message: "Address deleted successfully." };
+      if (defaultAddressId !== null) {
+        body.default_address_id = defaultAddressId;
+      }
+      res.json(body);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err instanceof CustomerError) {
+        return sendCustomerError(res, err);
+      }
+      res.status(500).json({ error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  // DELETE /api/customers/:id — soft delete; the customer and their addresses move to the trash
+  app.delete('/api/customers/:id', requireRole('admin'), validate({ params: SCHEMAS.idParam }), async (req, res) => {
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      await deleteCustomer(client, req.params.id, { actor: actorOf(req), precondition: ifMatch(req) });
+      await client.query('COMMIT');
+      res.json({ message: "Customer and all associated addresses moved to trash." });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err instanceof CustomerError) {
+        return sendCustomerError(res, err);
+      }
+      res.status(500).json({ error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  // GET /api/customers/search?q=term — matching customers, most relevant first (all customers without q).
+  // Query: limit
+  app.get('/api/customers/search', validate({ query: SCHEMAS.searchQuery }), async (req, res) => {
+    let limit;
+    try {
+      limit = parseLimit(req.query.limit);
+    } catch (err) {
+      return validationFailed(res, [{ field: err.field, error: err.message }]);
+    }
+    const params = [];
+    const search = customerSearch(req.query.q, params);
+    try {
+      const sql = `
+        SELECT c.*, (
+          SELECT ${db.dialect.jsonArrayAgg('a', ADDRESS_COLUMNS)}
+          FROM addresses a
+          WHERE a.customer_id = c.id AND a.deleted_at IS NULL
+        ) as addresses${search ? ', s.relevance' : ''}
+        FROM customers c
+        ${search ? `JOIN (${search}) s ON s.customer_id = c.id` : ''}
+        WHERE c.deleted_at IS NULL
+        ORDER BY ${search ? 's.relevance DESC, ' : ''}c.id DESC
+        LIMIT ${limit}
+      `;
+      const result = await db.query(sql, params);
+      const customers = result.rows.map(row => ({
+        ...row,
+        addresses: row.addresses.filter(addr => addr !== null),
+        ...(search && { relevance: roundRelevance(row.relevance) }),
+      }));
+      res.json({ data: customers });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET /api/customers/export — stream the filtered customer list as a file
+  // Query: format (csv|jsonl|xlsx, default csv), layout (customer|address, default customer), q, addressCount
+  app.get('/api/customers/export', validate({ query: EXPORT_QUERY_SCHEMA }), async (req, res) => {
+    const format = req.query.format || 'csv';
+    const layout = req.query.layout || 'customer';
+
+    // Same customers as GET /api/customers with the same filters, but with all of their addresses
+    const filters = customerListFilters(req.query);
+    const { params } = filters;
+    const matchingIds = filteredCustomerIds(filters);
+    const sql = layout === 'customer' ? `
+      SELECT c.id, c.first_name, c.last_name, c.phone_number, c.phone_e164, c.created_at, (
+        SELECT ${db.dialect.jsonArrayAgg('a', ADDRESS_COLUMNS)}
+        FROM addresses a
+        WHERE a.customer_id = c.id AND a.deleted_at IS NULL
+      ) AS addresses
+      FROM customers c
+      WHERE c.id IN (${matchingIds})
+      ORDER BY c.id
+    ` : `
+      SELECT c.id AS customer_id, c.first_name, c.last_name, c.phone_number, c.phone_e164, c.created_at,
+        a.id AS address_id, a.address_type, a.address_details, a.city, a.state, a.pin_code, a.is_default
+      FROM customers c
+      LEFT JOIN addresses a ON a.customer_id = c.id AND a.deleted_at IS NULL
+      WHERE c.id IN (${matchingIds})
+      ORDER BY c.id, a.id
+    `;
+
+    const client = await db.getClient();
+    let writer = null;
+    const start = () => {
+      const stamp = new Date().toISOString().slice(0, 10);
+      res.set('Content-Type', EXPORT_FORMATS[format].contentType);
+      res.set('Content-Disposition', `attachment; filename="customers-${stamp}.${EXPORT_FORMATS[format].extension}"`);
+      writer = createWriter(res, format, layout);
+    };
+    try {
+      for await (const row of db.dialect.streamQuery(client, sql, params)) {
+        // Headers go out with the first row, so a failing query can still answer with a JSON error
+        if (!writer) start();
+        if (res.destroyed) break;
+        await writer.write(row);
+      }
+      if (!writer) start();
+      await writer.end();
+    } catch (err) {
+      if (!writer) {
+        return res.status(500).json({ error: err.message });
+      }
+      logger.error('export failed', { err });
+      res.destroy(err);
+    } finally {
+      client.release();
+    }
+  });
+
+  // GET /api/customers/trash — soft-deleted customers, most recently deleted first
+  // Query: limit, cursor, sort (deleted_at|id), order (asc|desc)
+  app.get('/api/customers/trash', validate({ query: SCHEMAS.trashQuery }), async (req, res) => {
+    let page;
+    try {
+      page = parsePageParams(req.query, { sortKeys: TRASH_SORT_KEYS, defaultSort: 'deleted_at' });
+    } catch (err) {
+      if (err instanceof PaginationError) {
+        return validationFailed(res, [{ field: err.field, error: err.message }]);
+      }
+      throw err;
+    }
+    try {
+      const params = [];
+      const conditions = ["c.deleted_at IS NOT NULL"];
+      const keyset = keysetCondition(page, params);
+      if (keyset) conditions.push(keyset);
+      // Only the addresses that went to the trash with the customer; restore brings back exactly these
+      const sql = `
+        SELECT c.*, (
+          SELECT ${db.dialect.jsonArrayAgg('a', ADDRESS_COLUMNS)}
+          FROM addresses a
+          WHERE a.customer_id = c.id AND a.deleted_at = c.deleted_at
+        ) AS addresses${cursorSelect(page).map(col => `,\n        ${col}`).join('')}
+        FROM customers c
+        WHERE ${conditions.join(" AND ")}
+        ORDER BY ${orderByClause(page)}
+        LIMIT ${page.limit + 1}
+      `;
+      const result = await db.query(sql, params);
+      const { rows, nextCursor } = takePage(page, result.rows);
+      const customers = rows.map(row => ({
+        id: row.id,
+        first_name: row.first_name,
+        last_name: row.last_name,
+        phone_number: row.phone_number,
+        phone_e164: row.phone_e164,
+        created_at: row.created_at,
+        deleted_at: row.deleted_at,
+        merged_into: row.merged_into,
+        addresses: row.addresses.filter(addr => addr !== null),
+      }));
+      res.json({ data: customers, next_cursor: nextCursor });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // POST /api/customers/:id/restore — bring a customer back from the trash, with the addresses deleted alongside it
+  app.post('/api/customers/:id/restore', validate({ params: SCHEMAS.idParam }), async (req, res) => {
+    const customerId = req.params.id;
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      const beforeResult = await client.query("SELECT * FROM customers WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE", [customerId]);
+      if (beforeResult.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: "Customer not found in trash." });
+      }
+      const before = beforeResult.rows[0];
+      if (before.merged_into) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: `This customer was merged into customer ${before.merged_into} and can't be restored.` });
+      }
+
+      // Someone may have re-created the same customer since it was deleted
+      if (await findDuplicateCustomer(client, before)) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: "An active customer with this name and phone number already exists.",
+          field: "phone_number",
+        });
+      }
+
+      const addressResult = await client.query("SELECT * FROM addresses WHERE customer_id = $1 AND deleted_at = $2 FOR UPDATE", [customerId, before.deleted_at]);
+      await client.query("UPDATE addresses SET deleted_at = NULL WHERE customer_id = $1 AND deleted_at = $2", [customerId, before.deleted_at]);
+      const result = await client.query("UPDATE customers SET deleted_at = NULL WHERE id = $1 RETURNING *", [customerId]);
+
+      const actor = actorOf(req);
+      await recordChange(client, { entityType: 'customer', action: 'restore', actor, before, after: result.rows[0] });
+      for (const address of addressResult.rows) {
+        await recordChange(client, { entityType: 'address', action: 'restore', actor, before: address, after: { ...address, deleted_at: null } });
+      }
+
+      await client.query('COMMIT');
+      res.json({
+        message: "Customer restored successfully.",
+        data: { ...result.rows[0], addresses: addressResult.rows.map(address => ({ ...address, deleted_at: null })) },
+      });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      res.status(500).json({ error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  // DELETE /api/customers/:id/purge — permanently delete a customer from the trash, with all their addresses
+  app.delete('/api/customers/:id/purge', requireRole('admin'), validate({ params: SCHEMAS.idParam }), async (req, res) => {
+    const customerId = req.params.id;
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      const customerResult = await client.query("SELECT * FROM customers WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE", [customerId]);
+      if (customerResult.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: "Customer not found in trash." });
+      }
+
+      const addressResult = await client.query("DELETE FROM addresses WHERE customer_id = $1 RETURNING *", [customerId]);
+      await client.query("DELETE FROM customers WHERE id = $1", [customerId]);
+
+      const actor = actorOf(req);
+      for (const address of addressResult.rows) {
+        await recordChange(client, { entityType: 'address', action: 'purge', actor, before: address });
+      }
+      await recordChange(client, { entityType: 'customer', action: 'purge', actor, before: customerResult.rows[0] });
+
+      await client.query('COMMIT');
+      res.json({ message: "Customer and all associated addresses permanently deleted." });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      res.status(500).json({ error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  // GET /api/customers/duplicates — groups of probable duplicate customers, newest first
+  // A pair counts as a match with at least two of: same phone, similar names, a shared address. Query: limit
+  app.get('/api/customers/duplicates', validate({ query: SCHEMAS.duplicatesQuery }), async (req, res) => {
+    let limit;
+    try {
+      limit = parseLimit(req.query.limit);
+    } catch (err) {
+      return validationFailed(res, [{ field: err.field, error: err.message }]);
+    }
+    try {
+      const groups = await findDuplicateGroups(db);
+      res.json({ data: groups.slice(0, limit), total: groups.length });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // POST /api/customers/merge — fold source_id into target_id: addresses move over (minus ones the
+  // target already has) and the source goes to the trash, marked as merged. Body: { source_id, target_id }
+  app.post('/api/customers/merge', requireRole('admin'), validate({ body: SCHEMAS.merge }), async (req, res) => {
+    const { source_id, target_id } = req.body;
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const { moved, duplicates } = await mergeCustomers(client, { sourceId: source_id, targetId: target_id, actor: actorOf(req) });
+      await client.query('COMMIT');
+      res.json({
+        message: "Customers merged successfully.",
+        target_id,
+        moved_address_ids: moved,
+        removed_duplicate_address_ids: duplicates,
+      });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err instanceof MergeError) {
+        return res.status(err.status).json({ error: err.message, field: err.field });
+      }
+      res.status(500).json({ error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  // GET /api/customers/count — number of customers matching the same q and addressCount filters as GET /api/customers
+  app.get('/api/customers/count', validate({ query: SCHEMAS.customerListQuery }), async (req, res) => {
+    const filters = customerListFilters(req.query);
+    try {
+      const sql = `SELECT COUNT(*) as total FROM (${filteredCustomerIds(filters)}) as filtered_customers`;
+      const result = await db.query(sql, filters.params);
+      res.json({ count: parseInt(result.rows[0]?.total) || 0 });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET /api/customers/:id
+  app.get('/api/customers/:id', validate({ params: SCHEMAS.idParam }), async (req, res) => {
+    const customerId = req.params.id;
+    try {
+      const customerSql = "SELECT * FROM customers WHERE id = $1 AND deleted_at IS NULL";
+      const customerResult = await db.query(customerSql, [customerId]);
+      if (customerResult.rowCount === 0) {
+        return res.status(404).json({ error: "Customer not found" });
+      }
+      const addressSql = "SELECT * FROM addresses WHERE customer_id = $1 AND deleted_at IS NULL ORDER BY is_default DESC, id";
+      const addressResult = await db.query(addressSql, [customerId]);
+      setETagWithChildren(res, customerResult.rows[0], addressResult.rows);
+      res.json({
+        data: {
+          ...customerResult.rows[0],
+          addresses: addressResult.rows,
+        },
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET /api/customers — with filtering by address count + search, keyset pagination and sorting
+  // Query: q, addressCount (single|multiple), limit, cursor, sort (name|phone|address_count|created_at|id,
+  // plus relevance — the default — when searching), order (asc|desc), include_total=true
+  app.get('/api/customers', validate({ query: SCHEMAS.customerListQuery }), async (req, res) => {
+    const filters = customerListFilters(req.query);
+    let page;
+    try {
+      page = filters.relevance
+        ? parsePageParams(req.query, { sortKeys: SEARCH_SORT_KEYS, defaultSort: 'relevance' })
+        : parsePageParams(req.query);
+    } catch (err) {
+      if (err instanceof PaginationError) {
+        return validationFailed(res, [{ field: err.field, error: err.message }]);
+      }
+      throw err;
+    }
+    try {
+      const { fromClause, conditions, havingConditions, groupBy, params } = filters;
+
+      // Total matching customers, before the cursor narrows things down
+      let total;
+      if (page.includeTotal) {
+        const countSql = `SELECT COUNT(*) AS total FROM (${filteredCustomerIds(filters)}) AS filtered_customers`;
+        const countResult = await db.query(countSql, params);
+        total = parseInt(countResult.rows[0].total) || 0;
+      }
+
+      const keyset = keysetCondition(page, params);
+      if (keyset) {
+        (page.sortKey.aggregate ? havingConditions : conditions).push(keyset);
+      }
+      const sql = `
+        SELECT
+          c.id,
+          c.first_name,
+          c.last_name,
+          c.phone_number,
+          c.phone_e164,
+          c.created_at,
+          c.version,
+          COUNT(a.id) AS address_count,
+          ${db.dialect.jsonArrayAgg('a', ADDRESS_COLUMNS)} AS addresses${filters.relevance ? `,\n        ${filters.relevance} AS relevance` : ''}${cursorSelect(page).map(col => `,\n        ${col}`).join('')}
+        ${fromClause}
+        WHERE ${conditions.join(" AND ")}
+        GROUP BY ${groupBy.join(", ")}
+        ${havingConditions.length > 0 ? "HAVING " + havingConditions.join(" AND ") : ""}
+        ORDER BY ${orderByClause(page)}
+        LIMIT ${page.limit + 1}
+      `;
+      const result = await db.query(sql, params);
+      const { rows, nextCursor } = takePage(page, result.rows);
+      const customers = rows.map(row => ({
+        id: row.id,
+        first_name: row.first_name,
+        last_name: row.last_name,
+        phone_number: row.phone_number,
+        phone_e164: row.phone_e164,
+        created_at: row.created_at,
+        version: row.version,
+        address_count: parseInt(row.address_count) || 0,
+        addresses: row.addresses.filter(addr => addr !== null),
+        ...(filters.relevance && { relevance: roundRelevance(row.relevance) }),
+      }));
+      const body = { data: customers, next_cursor: nextCursor };
+      if (page.includeTotal) body.total = total;
+      res.json(body);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // POST /api/customers
+  app.post('/api/customers', validate({ body: SCHEMAS.newCustomer }), idempotent, checkPinCode, async (req, res) => {
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const idempotency = await claimIdempotencyKey(client, req);
+      if (idempotency.replay) {
+        await client.query('COMMIT');
+        return sendReplay(res, idempotency.replay);
+      }
+      const { customer } = await createCustomer(client, req.body, { actor: actorOf(req) });
+      const body = withWarnings(res, {
+        message: "Customer and address created successfully.",
+        customerId: customer.id,
+      });
+      await idempotency.save(201, body);
+      await client.query('COMMIT');
+      res.status(201).json(body);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err instanceof CustomerError) {
+        return sendCustomerError(res, err);
+      }
+      if (err instanceof IdempotencyError) {
+        return validationFailed(res, [{ field: 'Idempotency-Key', error: err.message }]);
+      }
+      res.status(500).json({ error: err.message, field: "general" });
+    } finally {
+      client.release();
+    }
+  });
+
+  // POST /api/customers/import — bulk import from a CSV or JSON Lines request body
+  // Content-Type: text/csv or application/x-ndjson (or ?format=csv|jsonl); ?dry_run=true validates without saving.
+  // Each row has the POST /api/customers fields; rows with the same name and phone become one customer.
+  app.post('/api/customers/import', requireRole('admin'), async (req, res) => {
+    const format = importFormat(req);
+    if (!format) {
+      return res.status(415).json({ error: "Upload CSV (text/csv) or JSON Lines (application/x-ndjson)." });
+    }
+    const dryRun = req.query.dry_run === 'true';
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const { summary, rows } = await importCustomers(client, readRows(req, format), { actor: actorOf(req), dryRun });
+      await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+      res.json({ dry_run: dryRun, summary, rows });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err instanceof ImportError) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      res.status(500).json({ error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  // GET /api/addresses/:id
+  app.get('/api/addresses/:id', validate({ params: SCHEMAS.idParam }), async (req, res) => {
+    try {
+      const result = await db.query("SELECT * FROM addresses WHERE id = $1 AND deleted_at IS NULL", [req.params.id]);
+      if (result.rowCount === 0) {
+        return res.status(404).json({ error: "Address not found." });
+      }
+      setETag(res, result.rows[0]);
+      res.json({ data: result.rows[0] });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET /api/customers/:id/addresses
+  app.get('/api/customers/:id/addresses', validate({ params: SCHEMAS.idParam }), async (req, res) => {
+    try {
+      const sql = "SELECT * FROM addresses WHERE customer_id = $1 AND deleted_at IS NULL ORDER BY is_default DESC, id";
+      const result = await db.query(sql, [req.params.id]);
+      res.json({ data: result.rows });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // POST /api/customers/:id/addresses
+  app.post('/api/customers/:id/addresses', validate({ params: SCHEMAS.idParam, body: SCHEMAS.newAddress }), idempotent, checkPinCode, async (req, res) => {
+    const { is_default, ...input } = req.body;
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const idempotency = await claimIdempotencyKey(client, req);
+      if (idempotency.replay) {
+        await client.query('COMMIT');
+        return sendReplay(res, idempotency.replay);
+      }
+      const address = await addAddress(client, req.params.id, input, { actor: actorOf(req), makeDefault: is_default === true });
+      const body = withWarnings(res, { message: 'Address added', addressId: address.id });
+      await idempotency.save(201, body);
+      await client.query('COMMIT');
+      res.status(201).json(body);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err instanceof CustomerError) {
+        return sendCustomerError(res, err);
+      }
+      if (err instanceof IdempotencyError) {
+        return validationFailed(res, [{ field: 'Idempotency-Key', error: err.message }]);
+      }
+      res.status(500).json({ error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  // POST /api/customers/:id/addresses/:addressId/default — make one of the customer's addresses their default
+  app.post('/api/customers/:id/addresses/:addressId/default', validate({ params: SCHEMAS.addressParams }), async (req, res) => {
+    const { id: customerId, addressId } = req.params;
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const customerResult = await client.query("SELECT id FROM customers WHERE id = $1 AND deleted_at IS NULL FOR SHARE", [customerId]);
+      if (customerResult.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: "Customer not found." });
+      }
+      const addressSql = "SELECT * FROM addresses WHERE id = $1 AND customer_id = $2 AND deleted_at IS NULL FOR UPDATE";
+      const addressResult = await client.query(addressSql, [addressId, customerId]);
+      if (addressResult.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: "Address not found." });
+      }
+      const address = await makeDefaultAddress(client, addressResult.rows[0], { actor: actorOf(req) });
+      await client.query('COMMIT');
+      res.json({ address });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      res.status(500).json({ error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  // GET /api/customers/:id/history — audit trail of the customer and their addresses, oldest first
+  app.get('/api/customers/:id/history', validate({ params: SCHEMAS.idParam }), async (req, res) => {
+    const customerId = req.params.id;
+    try {
+      const sql = `
+        SELECT id, entity_type, entity_id, action, actor, changed_at, changes, old_values, new_values
+        FROM audit_log
+        WHERE customer_id = $1
+        ORDER BY changed_at, id
+      `;
+      const result = await db.query(sql, [customerId]);
+      if (result.rowCount === 0) {
+        // No history: either nothing was ever recorded or the customer doesn't exist
+        const customerResult = await db.query("SELECT id FROM customers WHERE id = $1", [customerId]);
+        if (customerResult.rowCount === 0) {
+          return res.status(404).json({ error: "Customer not found." });
+        }
+      }
+      res.json({
+        data: result.rows.map(row => ({
+          id: Number(row.id),
+          entity_type: row.entity_type,
+          entity_id: row.entity_id,
+          action: row.action,
+          actor: row.actor,
+          changed_at: row.changed_at,
+          changes: row.changes,
+          before: row.old_values,
+          after: row.new_values,
+        })),
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET /api/pincodes/:pin — district(s) and state for a PIN code, for address form autofill
+  app.get('/api/pincodes/:pin', validate({ params: SCHEMAS.pinCodeParam }), (req, res) => {
+    const places = lookupPinCode(req.params.pin);
+    if (!places) {
+      return res.status(404).json({ error: "PIN code not found." });
+    }
+    res.json({ data: { pin_code: req.params.pin, places } });
+  });
+
+  // GET /api/events/customers — customer and address changes as Server-Sent Events.
+  // Query: customer_id (only that customer's changes). Last-Event-ID resumes after that event.
+  app.get('/api/events/customers', validate({ query: SCHEMAS.changeStreamQuery }), (req, res) => {
+    const lastEventId = req.get('Last-Event-ID');
+    if (lastEventId !== undefined && !/^\d+$/.test(lastEventId.trim())) {
+      return validationFailed(res, [{ field: 'Last-Event-ID', error: "Must be an event id." }]);
+    }
+    changeFeed.streamChanges(req, res, {
+      customerId: req.query.customer_id ? Number(req.query.customer_id) : null,
+      lastEventId: lastEventId === undefined ? null : Number(lastEventId),
+    });
+  });
+
+  // Webhook routes are admin-only: subscriptions hold signing secrets and send customer data out
+
+  // GET /api/webhooks — webhook subscriptions
+  app.get('/api/webhooks', requireRole('admin'), async (req, res) => {
+    try {
+      const result = await db.query("SELECT * FROM webhook_subscriptions ORDER BY id");
+      res.json({ data: result.rows.map(publicSubscription) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // POST /api/webhooks — subscribe a URL to events (event_types defaults to ["*"]).
+  // The response is the only time the signing secret is shown.
+  app.post('/api/webhooks', requireRole('admin'), validate({ body: SCHEMAS.newWebhook }), async (req, res) => {
+    const { url, event_types = ['*'], description = null, active = true } = req.body;
+    try {
+      const sql = `
+        INSERT INTO webhook_subscriptions (url, secret, event_types, description, active)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `;
+      const result = await db.query(sql, [url, createSecret(), JSON.stringify(event_types), description, active]);
+      res.status(201).json({ data: result.rows[0] });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET /api/webhooks/dead-letters — deliveries that ran out of attempts, newest first.
+  // Query: subscription_id, limit
+  app.get('/api/webhooks/dead-letters', requireRole('admin'), validate({ query: SCHEMAS.deadLetterQuery }), async (req, res) => {
+    let limit;
+    try {
+      limit = parseLimit(req.query.limit);
+    } catch (err) {
+      return validationFailed(res, [{ field: err.field, error: err.message }]);
+    }
+    try {
+      const params = [];
+      let subscriptionFilter = '';
+      if (req.query.subscription_id) {
+        params.push(Number(req.query.subscription_id));
+        subscriptionFilter = `AND d.subscription_id = $${params.length}`;
+      }
+      const sql = `
+        SELECT d.id, d.subscription_id, d.event_id, e.event_type, e.customer_id, d.attempts,
+          d.last_attempt_at, d.last_status, d.last_error, e.created_at AS event_created_at
+        FROM webhook_deliveries d
+        JOIN outbox_events e ON e.id = d.event_id
+        WHERE d.status = 'dead' ${subscriptionFilter}
+        ORDER BY d.id DESC
+        LIMIT ${limit}
+      `;
+      const result = await db.query(sql, params);
+      res.json({ data: result.rows.map(row => ({ ...row, id: Number(row.id), event_id: Number(row.event_id) })) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // POST /api/webhooks/deliveries/:id/retry — put a dead-lettered delivery back in the queue, with fresh attempts
+  app.post('/api/webhooks/deliveries/:id/retry', requireRole('admin'), validate({ params: SCHEMAS.idParam }), async (req, res) => {
+    try {
+      const sql = `
+        UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = $1
+        WHERE id = $2 AND status = 'dead'
+      `;
+      const result = await db.query(sql, [new Date(), req.params.id]);
+      if (result.rowCount === 0) {
+        return res.status(404).json({ error: "Dead-lettered delivery not found." });
+      }
+      res.json({ message: "Delivery queued for retry." });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET /api/webhooks/:id — a subscription, with its delivery counts by status
+  app.get('/api/webhooks/:id', requireRole('admin'), validate({ params: SCHEMAS.idParam }), async (req, res) => {
+    try {
+      const result = await db.query("SELECT * FROM webhook_subscriptions WHERE id = $1", [req.params.id]);
+      if (result.rowCount === 0) {
+        return res.status(404).json({ error: "Webhook not found." });
+      }
+      const countSql = "SELECT status, COUNT(*) AS total FROM webhook_deliveries WHERE subscription_id = $1 GROUP BY status";
+      const counts = { pending: 0, delivered: 0, dead: 0 };
+      for (const row of (await db.query(countSql, [req.params.id])).rows) {
+        counts[row.status] = Number(row.total);
+      }
+      res.json({ data: { ...publicSubscription(result.rows[0]), deliveries: counts } });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // PATCH /api/webhooks/:id — change a subscription's url, event_types, description or active flag
+  app.patch('/api/webhooks/:id', requireRole('admin'), validate({ params: SCHEMAS.idParam, body: SCHEMAS.webhookPatch }), async (req, res) => {
+    if (Object.keys(req.body).length === 0) {
+      return validationFailed(res, [{ field: null, error: "Give at least one field to update." }]);
+    }
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const beforeResult = await client.query("SELECT * FROM webhook_subscriptions WHERE id = $1 FOR UPDATE", [req.params.id]);
+      if (beforeResult.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: "Webhook not found." });
+      }
+      const { url, event_types, description, active } = { ...beforeResult.rows[0], ...req.body };
+      const sql = "UPDATE webhook_subscriptions SET url = $1, event_types = $2, description = $3, active = $4 WHERE id = $5 RETURNING *";
+      const result = await client.query(sql, [url, JSON.stringify(event_types), description, active, req.params.id]);
+      await client.query('COMMIT');
+      res.json({ data: publicSubscription(result.rows[0]) });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      res.status(500).json({ error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  // DELETE /api/webhooks/:id — unsubscribe; pending and dead-lettered deliveries are dropped with it
+  app.delete('/api/webhooks/:id', requireRole('admin'), validate({ params: SCHEMAS.idParam }), async (req, res) => {
+    try {
+      const result = await db.query("DELETE FROM webhook_subscriptions WHERE id = $1", [req.params.id]);
+      if (result.rowCount === 0) {
+        return res.status(404).json({ error: "Webhook not found." });
+      }
+      res.json({ message: "Webhook deleted." });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    // Request bodies that express.json() rejected
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({ error: `Request body is too large; the limit is ${err.limit} bytes.` });
+    }
+    if (err.type === 'entity.parse.failed') {
+      return res.status(400).json({ error: "Request body is not valid JSON." });
+    }
+    logger.error('unhandled error', { err });
+    res.status(500).json({ error: "Something went wrong!" });
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,51 @@
+// audit.js — audit trail for customers and addresses
+//
+// recordChange() must be called with the same client (and so the same transaction)
+// as the change it describes, so a change and its audit entry commit or roll back together.
+// It also writes the change's outbox event (see outbox.js), in the same way.
+
+const { enqueueEvent } = require('./outbox');
+
+// { field: { from, to } } for every field whose value differs between two rows
+function diff(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+  }
+  return changes;
+}
+
+// entityType: 'customer' | 'address'; action: 'create' | 'update' | 'delete' | 'restore' | 'purge' | 'merge'
+// before/after: the full row before and after the change (null for create/delete respectively)
+async function recordChange(client, { entityType, action, actor, before = null, after = null }) {
+  const row = after || before;
+  const customerId = entityType === 'customer' ? row.id : row.customer_id;
+  const changes = diff(before, after);
+  const sql = `
+    INSERT INTO audit_log (entity_type, entity_id, customer_id, action, actor, old_values, new_values, changes)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+  `;
+  await client.query(sql, [
+    entityType,
+    row.id,
+    customerId,
+    action,
+    actor,
+    before && JSON.stringify(before),
+    after && JSON.stringify(after),
+    JSON.stringify(changes),
+  ]);
+  await enqueueEvent(client, { entityType, action, actor, row, changes });
+}
+
+// The actor recorded for a request: whoever authenticated it
+function actorOf(req) {
+  return req.user ? req.user.id : 'anonymous';
+}
+
+module.exports = { diff, recordChange, actorOf };
@@ -0,0 +1,267 @@
+// changefeed.js — live stream of customer and address changes for GET /api/events/customers
+//
+// The stream is the outbox (see outbox.js) as Server-Sent Events:
+//   id: 1842
+//   event: customer.updated
+//   data: { "id": 1842, "type": "customer.updated", ... the same body webhooks get }
+// Each app (app.js) has one feed, from createChangeFeed(db), following the outbox while anyone is
+// connected. On PostgreSQL it LISTENs for the ids announced by the outbox trigger
+// (migrations/postgres/010_outbox_notify) and reads those events; on MySQL it polls for new ids. After a lost connection it catches up from the
+// outbox table.
+//
+// Outbox ids are handed out when a row is inserted, not when its transaction commits, so an event
+// can become visible after one with a higher id. Reading the table again (catching up, polling and
+// resuming) therefore starts RESCAN_WINDOW ids below the last one seen, and the feed skips the ids
+// it has already delivered. A transaction that commits more than RESCAN_WINDOW events late is still
+// missed there. A client that reconnects with Last-Event-ID gets the events after it, and again the
+// ones in the window before it, so clients should skip event ids they already have. Resuming only
+// works while the events are kept (OUTBOX_RETENTION_DAYS).
+
+const { eventBody } = require('./outbox');
+const { logger } = require('./logger');
+
+const CHANNEL = 'outbox_events';
+const BATCH_SIZE = 500;
+const POLL_INTERVAL_MS = 1000;
+const RECONNECT_DELAY_MS = 2000;
+// Ids below the last one seen that are read again, for events whose transactions committed late
+const RESCAN_WINDOW = 100;
+const HEARTBEAT_MS = 25 * 1000;
+// How long EventSource clients wait before reconnecting
+const CLIENT_RETRY_MS = 3000;
+
+const EVENT_COLUMNS = 'id, event_type, customer_id, payload, created_at';
+
+function toEvent(row) {
+  return { id: Number(row.id), customerId: row.customer_id, body: eventBody(row) };
+}
+
+// The change feed of one database (see db.js). Returns { streamChanges, closeStreams }.
+function createChangeFeed(db) {
+  const subscribers = new Set();
+  let feed = null;
+  // feed.stop() of the last feed, until it has let go of its connection
+  let stopping = Promise.resolve();
+  // close() of every open stream
+  const openStreams = new Set();
+
+  // Outbox events after `afterId`, oldest first, optionally for one customer
+  async function eventsAfter(afterId, { customerId = null } = {}) {
+    const params = [afterId];
+    let customerFilter = '';
+    if (customerId !== null) {
+      params.push(customerId);
+      customerFilter = `AND customer_id = $${params.length}`;
+    }
+    const sql = `SELECT ${EVENT_COLUMNS} FROM outbox_events WHERE id > $1 ${customerFilter} ORDER BY id LIMIT ${BATCH_SIZE}`;
+    return (await db.query(sql, params)).rows.map(toEvent);
+  }
+
+  // The latest outbox ids, newest first: what a new feed treats as already delivered
+  async function latestIds() {
+    const sql = `SELECT id FROM outbox_events ORDER BY id DESC LIMIT ${RESCAN_WINDOW}`;
+    return (await db.query(sql)).rows.map(row => Number(row.id));
+  }
+
+  // Follows the outbox and hands every new event to the subscribers once. Returns { stop() }.
+  function startFeed() {
+    let stopped = false;
+    let lastId = null;
+    // Ids delivered within RESCAN_WINDOW of lastId
+    const delivered = new Set();
+    let timer = null;
+    let client = null;
+    let unlisten = null;
+    let pendingIds = [];
+    let reading = null;
+    // listen() in progress, which stop() waits for so its connection is released
+    let connecting = null;
+
+    const publish = events => {
+      for (const event of events) {
+        if (delivered.has(event.id)) continue;
+        delivered.add(event.id);
+        lastId = Math.max(lastId, event.id);
+        for (const subscriber of subscribers) subscriber(event);
+      }
+      if (delivered.size > 2 * RESCAN_WINDOW) {
+        for (const id of delivered) {
+          if (id <= lastId - RESCAN_WINDOW) delivered.delete(id);
+        }
+      }
+    };
+
+    const start = async () => {
+      if (lastId !== null) return;
+      const ids = await latestIds();
+      ids.forEach(id => delivered.add(id));
+      lastId = ids[0] || 0;
+    };
+
+    const catchUp = async () => {
+      let after = Math.max(0, lastId - RESCAN_WINDOW);
+      let events;
+      do {
+        events = await eventsAfter(after);
+        publish(events);
+        if (events.length > 0) after = events[events.length - 1].id;
+      } while (events.length === BATCH_SIZE && !stopped);
+    };
+
+    // Reads the announced events, in the order they were announced (commit order)
+    const readAnnounced = async () => {
+      while (pendingIds.length > 0 && !stopped) {
+        const ids = pendingIds.splice(0, BATCH_SIZE);
+        const sql = `SELECT ${EVENT_COLUMNS} FROM outbox_events WHERE id IN (${ids.map((id, i) => `$${i + 1}`).join(', ')})`;
+        const byId = new Map((await db.query(sql, ids)).rows.map(row => [Number(row.id), toEvent(row)]));
+        publish(ids.map(id => byId.get(Number(id))).filter(Boolean));
+      }
+    };
+
+    const reconnectLater = err => {
+      logger.error('change feed lost its database connection', { err });
+      if (client) {
+        client.removeListener('error', reconnectLater);
+        client.release(err);
+        client = null;
+        unlisten = null;
+      }
+      if (!stopped) timer = setTimeout(() => { connecting = listen(); }, RECONNECT_DELAY_MS);
+    };
+
+    const listen = async () => {
+      try {
+        await start();
+        client = await db.getClient();
+        client.on('error', reconnectLater);
+        unlisten = await db.dialect.listen(client, CHANNEL, id => {
+          pendingIds.push(id);
+          if (!reading) {
+            reading = readAnnounced()
+              .catch(err => logger.error('change feed read failed', { err }))
+              .finally(() => { reading = null; });
+          }
+        });
+        // Anything committed while there was no listener
+        await catchUp();
+      } catch (err) {
+        reconnectLater(err);
+      }
+    };
+
+    const poll = async () => {
+      try {
+        await start();
+        await catchUp();
+      } catch (err) {
+        logger.error('change feed poll failed', { err });
+      }
+      if (!stopped) timer = setTimeout(poll, POLL_INTERVAL_MS);
+    };
+
+    if (db.dialect.listen) connecting = listen();
+    else poll();
+
+    return {
+      stop: async () => {
+        stopped = true;
+        clearTimeout(timer);
+        await connecting;
+        await reading;
+        if (client) {
+          await unlisten?.().catch(() => {});
+          client.removeListener('error', reconnectLater);
+          client.release();
+          client = null;
+        }
+      },
+    };
+  }
+
+  function subscribe(subscriber) {
+    subscribers.add(subscriber);
+    if (!feed) feed = startFeed();
+  }
+
+  function unsubscribe(subscriber) {
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0 && feed) {
+      stopping = feed.stop();
+      feed = null;
+    }
+  }
+
+  // Ends every open stream, for shutting down; clients reconnect (to another instance) with Last-Event-ID.
+  // Resolves once the feed has stopped.
+  function closeStreams() {
+    for (const close of [...openStreams]) {
+      close();
+    }
+    return stopping;
+  }
+
+  // Streams changes to `res` as Server-Sent Events until the client goes away: first the events
+  // after `lastEventId` (when resuming), then live ones. `customerId` limits it to one customer.
+  async function streamChanges(req, res, { customerId = null, lastEventId = null } = {}) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+    const write = event => {
+      if (closed) return;
+      res.write(`id: ${event.id}\nevent: ${event.body.type}\ndata: ${JSON.stringify(event.body)}\n\n`);
+    };
+    // Live events wait here while the missed ones are replayed
+    let backlog = lastEventId === null ? null : [];
+    const subscriber = event => {
+      if (customerId !== null && event.customerId !== customerId) return;
+      if (backlog) backlog.push(event);
+      else write(event);
+    };
+
+    let closed = false;
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe(subscriber);
+      openStreams.delete(close);
+      res.end();
+    };
+    req.on('close', close);
+    openStreams.add(close);
+    subscribe(subscriber);
+
+    if (backlog) {
+      // Includes the window before Last-Event-ID, for events that committed after the client saw it
+      let after = Math.max(0, lastEventId - RESCAN_WINDOW);
+      const replayed = new Set();
+      try {
+        let events;
+        do {
+          events = await eventsAfter(after, { customerId });
+          for (const event of events) {
+            replayed.add(event.id);
+            write(event);
+          }
+          if (events.length > 0) after = events[events.length - 1].id;
+        } while (events.length === BATCH_SIZE && !closed);
+      } catch (err) {
+        logger.error('change stream replay failed', { err });
+        return close();
+      }
+      backlog.filter(event => !replayed.has(event.id)).forEach(write);
+      backlog = null;
+    }
+  }
+
+  return { streamChanges, closeStreams };
+}
+
+module.exports = { createChangeFeed };
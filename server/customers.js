@@ -0,0 +1,164 @@
+// customers.js — creating, updating and deleting customers and addresses
+//
+// Shared by the REST routes and GraphQL (graphql.js), so both apply the same rules. Every
+// function works on a client inside the caller's transaction, locks the rows it changes and
+// records the change in the audit log. Input must already have passed its validation.js schema.
+//
+// Problems are thrown as CustomerError with the status the REST routes answer with: 404 not
+// found, 409 duplicate or conflict, 412 stale version, 422 invalid (with `errors`).
+// The `precondition` options take a row and return false when the caller's version of it is
+// stale (If-Match on REST, `version` arguments in GraphQL).
+
+const { recordChange } = require('./audit');
+const { insertAddress, makeDefaultAddress, lockSuccessor } = require('./addresses');
+const { findDuplicateCustomer } = require('./validation');
+const { checkAddressPinCode } = require('./pincodes');
+const { toE164 } = require('./phones');
+
+class CustomerError extends Error {
+  constructor(message, status, { field = undefined, errors = undefined, current = undefined } = {}) {
+    super(message);
+    this.status = status;
+    this.field = field;
+    // [{ field, error }] for 422
+    this.errors = errors;
+    // The row as it is now, for 412
+    this.current = current;
+  }
+}
+
+const DUPLICATE_MESSAGE = "Customer with this name and phone number already exists.";
+
+function checkPrecondition(row, precondition, entityName) {
+  if (precondition && !precondition(row)) {
+    throw new CustomerError(`The ${entityName} has changed since it was read. Fetch it again and retry.`, 412, { current: row });
+  }
+}
+
+async function lockCustomer(client, id, precondition) {
+  const result = await client.query("SELECT * FROM customers WHERE id = $1 AND deleted_at IS NULL FOR UPDATE", [id]);
+  if (result.rowCount === 0) {
+    throw new CustomerError("Customer not found.", 404);
+  }
+  checkPrecondition(result.rows[0], precondition, 'customer');
+  return result.rows[0];
+}
+
+async function lockAddress(client, id, precondition) {
+  const result = await client.query("SELECT * FROM addresses WHERE id = $1 AND deleted_at IS NULL FOR UPDATE", [id]);
+  if (result.rowCount === 0) {
+    throw new CustomerError("Address not found.", 404);
+  }
+  checkPrecondition(result.rows[0], precondition, 'address');
+  return result.rows[0];
+}
+
+function addressFields({ address_type, address_details, city, state, pin_code }) {
+  return { address_type, address_details, city, state, pin_code };
+}
+
+// Creates a customer with their first address, which becomes the default. Returns { customer, address }.
+async function createCustomer(client, input, { actor }) {
+  const { first_name, last_name, phone_number } = input;
+  const phone_e164 = toE164(phone_number);
+  if (await findDuplicateCustomer(client, { first_name, last_name, phone_e164 })) {
+    throw new CustomerError(DUPLICATE_MESSAGE, 409, { field: 'phone_number' });
+  }
+  const sql = "INSERT INTO customers (first_name, last_name, phone_number, phone_e164) VALUES ($1, $2, $3, $4) RETURNING *";
+  const result = await client.query(sql, [first_name, last_name, phone_number, phone_e164]);
+  const customer = result.rows[0];
+  await recordChange(client, { entityType: 'customer', action: 'create', actor, after: customer });
+  const address = await insertAddress(client, customer.id, addressFields(input), { actor });
+  return { customer, address };
+}
+
+// Updates the customer fields given in `changes` and returns the updated row
+async function updateCustomer(client, id, changes, { actor, precondition }) {
+  const before = await lockCustomer(client, id, precondition);
+  const { first_name, last_name, phone_number } = { ...before, ...changes };
+  const phone_e164 = changes.phone_number ? toE164(changes.phone_number) : before.phone_e164;
+  if (await findDuplicateCustomer(client, { first_name, last_name, phone_e164 }, { excludeId: id })) {
+    throw new CustomerError(DUPLICATE_MESSAGE, 409, { field: 'phone_number' });
+  }
+  const sql = "UPDATE customers SET first_name = $1, last_name = $2, phone_number = $3, phone_e164 = $4 WHERE id = $5 RETURNING *";
+  const result = await client.query(sql, [first_name, last_name, phone_number, phone_e164, id]);
+  await recordChange(client, { entityType: 'customer', action: 'update', actor, before, after: result.rows[0] });
+  return result.rows[0];
+}
+
+// Moves a customer and their live addresses to the trash and returns the deleted customer row
+async function deleteCustomer(client, id, { actor, precondition }) {
+  const before = await lockCustomer(client, id, precondition);
+  const addressResult = await client.query("SELECT * FROM addresses WHERE customer_id = $1 AND deleted_at IS NULL FOR UPDATE", [id]);
+
+  // Customer and addresses share one deleted_at, which is how restore finds the addresses again
+  const deletedAt = new Date();
+  await client.query("UPDATE addresses SET deleted_at = $1 WHERE customer_id = $2 AND deleted_at IS NULL", [deletedAt, id]);
+  const result = await client.query("UPDATE customers SET deleted_at = $1 WHERE id = $2 RETURNING *", [deletedAt, id]);
+
+  for (const address of addressResult.rows) {
+    await recordChange(client, { entityType: 'address', action: 'delete', actor, before: address, after: { ...address, deleted_at: deletedAt } });
+  }
+  await recordChange(client, { entityType: 'customer', action: 'delete', actor, before, after: result.rows[0] });
+  return result.rows[0];
+}
+
+// Adds an address for a live customer and returns it. It becomes the default when `makeDefault`
+// is set or the customer has no default yet.
+async function addAddress(client, customerId, input, { actor, makeDefault = false }) {
+  const customerResult = await client.query("SELECT id FROM customers WHERE id = $1 AND deleted_at IS NULL FOR SHARE", [customerId]);
+  if (customerResult.rowCount === 0) {
+    throw new CustomerError("Customer not found.", 404);
+  }
+  return insertAddress(client, customerId, addressFields(input), { actor, makeDefault });
+}
+
+// Updates the address fields given in `changes`. The PIN code check (see pincodes.js) runs on
+// the merged address whenever the state or PIN code is given. Returns { address, warnings }.
+// The default moves through makeDefaultAddress(), not here.
+async function updateAddress(client, id, changes, { actor, precondition }) {
+  const before = await lockAddress(client, id, precondition);
+  const { address_type, address_details, city, state, pin_code } = { ...before, ...changes };
+  let warnings = [];
+  if (changes.state || changes.pin_code) {
+    const check = checkAddressPinCode({ state, pin_code });
+    if (check.errors.length > 0) {
+      throw new CustomerError("Validation failed.", 422, { errors: check.errors });
+    }
+    warnings = check.warnings;
+  }
+  const sql = "UPDATE addresses SET address_type = $1, address_details = $2, city = $3, state = $4, pin_code = $5 WHERE id = $6 RETURNING *";
+  const result = await client.query(sql, [address_type, address_details, city, state, pin_code, id]);
+  await recordChange(client, { entityType: 'address', action: 'update', actor, before, after: result.rows[0] });
+  return { address: result.rows[0], warnings };
+}
+
+// Soft-deletes an address. Deleting the default makes the oldest remaining address the default;
+// a customer's only address can't be deleted. Returns { address, defaultAddressId } (null when the default didn't move).
+async function deleteAddress(client, id, { actor, precondition }) {
+  const before = await lockAddress(client, id, precondition);
+
+  // Only the default can be a customer's last address, and there'd be nothing to promote
+  let successor = null;
+  if (before.is_default) {
+    successor = await lockSuccessor(client, before);
+    if (!successor) {
+      throw new CustomerError("A customer's only address can't be deleted. Add another address first.", 409);
+    }
+  }
+
+  const result = await client.query("UPDATE addresses SET deleted_at = $1, is_default = FALSE WHERE id = $2 RETURNING *", [new Date(), id]);
+  await recordChange(client, { entityType: 'address', action: 'delete', actor, before, after: result.rows[0] });
+  const defaultAddressId = successor ? (await makeDefaultAddress(client, successor, { actor })).id : null;
+  return { address: result.rows[0], defaultAddressId };
+}
+
+module.exports = {
+  CustomerError,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+};
@@ -1,34 +1,83 @@
+// db.js
+//
+// Database access for the route handlers. DB_DIALECT picks the database:
+//   postgres (default) — PostgreSQL via pg
+//   mysql              — MySQL 8 via mysql2
+// Handlers write PostgreSQL-style SQL against `query`/`getClient`; see dialects/ for
+// what each dialect rewrites and the helpers (`db.dialect`) for what it can't. Connection, TLS
+// and pool settings come from config.js.
+//
+// Every query is timed into db_query_duration_seconds (metrics.js) and logged at debug level;
+// ones slower than DB_SLOW_QUERY_MS (default 500) are logged as warnings.
 
+const { config } = require('./config');
+const dialect = require(`./dialects/${config.db.dialect}`);
+const { logger } = require('./logger');
+const { observeQuery, trackPool } = require('./metrics');
 
-// const mysql = require('mysql2');
-// require('dotenv').config();
-
-// // MySQL connection pool
-// const db = mysql.createPool({
-//   host: process.env.DB_HOST,
-//   port: process.env.DB_PORT,
-//   user: process.env.DB_USER,
-//   password: process.env.DB_PASSWORD,
-//   database: process.env.DB_NAME
-// });
-
-// module.exports = db;
-// db.js
+const SLOW_QUERY_MS = config.db.slowQueryMs;
 
+// Node TLS options for a DB_SSL mode (see config.js); pg and mysql2 both take them
+function sslOptions({ mode, ca }) {
+  switch (mode) {
+    case 'disable':
+      return false;
+    case 'require':
+      return { rejectUnauthorized: false };
+    case 'verify-ca':
+      // The chain is checked, the host name isn't
+      return { ca, rejectUnauthorized: true, checkServerIdentity: () => undefined };
+    default:
+      return { ca, rejectUnauthorized: true };
+  }
+}
 
-const { Pool } = require('pg');
-require('dotenv').config();
+// Wraps a query function to time and log the queries that return a promise. Other calls (pg's
+// callback form, cursors) are passed through as they are.
+function instrument(query) {
+  return (...args) => {
+    const result = query(...args);
+    if (!result || typeof result.then !== 'function') {
+      return result;
+    }
+    const text = typeof args[0] === 'string' ? args[0] : args[0] && args[0].text;
+    const started = process.hrtime.bigint();
+    const done = err => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      const durationMs = Math.round(seconds * 10000) / 10;
+      observeQuery({ text, seconds, failed: Boolean(err) });
+      const statement = String(text).replace(/\s+/g, ' ').trim().slice(0, 200);
+      if (err) {
+        logger.warn('query failed', { statement, duration_ms: durationMs, err });
+      } else if (durationMs >= SLOW_QUERY_MS) {
+        logger.warn('slow query', { statement, duration_ms: durationMs });
+      } else {
+        logger.debug('query', { statement, duration_ms: durationMs });
+      }
+    };
+    result.then(() => done(), done);
+    return result;
+  };
+}
 
-const pool = new Pool({
-  host: process.env.DB_HOST,
-  port: process.env.DB_PORT,
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-  database: process.env.DB_NAME,
-  ssl: { rejectUnauthorized: false } // required for Render PostgreSQL
+const pool = dialect.createPool({
+  host: config.db.host,
+  port: config.db.port || dialect.defaultPort,
+  user: config.db.user,
+  password: config.db.password,
+  database: config.db.database,
+  ssl: sslOptions(config.db.ssl),
+  poolSize: config.db.poolSize,
+  connectionTimeoutMs: config.db.connectionTimeoutMs,
+  idleTimeoutMs: config.db.idleTimeoutMs,
+  instrument,
 });
+trackPool(pool.stats);
 
 module.exports = {
+  dialect,
   query: (text, params) => pool.query(text, params),
-  getClient: () => pool.connect()
+  getClient: () => pool.getClient(),
+  // Closes the pool, for scripts and tests that should exit afterwards
+  end: () => pool.end(),
 };
@@ -0,0 +1,265 @@
+// dialects/mysql.js — MySQL 8 via mysql2
+//
+// Route handlers are written in PostgreSQL's SQL. Before a query reaches MySQL it's rewritten:
+//   - $1, $2 ... placeholders become ? (parameters are reordered/repeated to match)
+//   - ILIKE becomes LIKE (MySQL's default collations already compare case-insensitively)
+//   - INSERT/UPDATE/DELETE ... RETURNING is emulated with insertId and a SELECT on the same WHERE
+//   - INSERT ... ON CONFLICT DO NOTHING becomes INSERT IGNORE
+// Results are returned in pg's shape: { rows, rowCount }.
+//
+// Things that can't be rewritten textually (JSON aggregation, casts) go through the
+// helpers this module exports as part of the dialect.
+// There's no LISTEN/NOTIFY, so no `listen` helper; changefeed.js polls instead.
+
+const mysql = require('mysql2/promise');
+
+const MIGRATION_LOCK_NAME = 'qwoen_schema_migrations';
+const MIGRATION_LOCK_TIMEOUT_SECONDS = 600;
+
+// Rewrites placeholders and ILIKE outside of string literals, quoted identifiers and comments
+function translate(text, params = []) {
+  const values = [];
+  let sql = '';
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === "'" || ch === '"' || ch === '`') {
+      let end = i + 1;
+      while (end < text.length) {
+        if (text[end] === ch) {
+          if (text[end + 1] === ch) { end += 2; continue; }
+          break;
+        }
+        end++;
+      }
+      sql += text.slice(i, end + 1);
+      i = end + 1;
+    } else if (ch === '-' && text[i + 1] === '-') {
+      const end = text.indexOf('\n', i);
+      const stop = end === -1 ? text.length : end;
+      sql += text.slice(i, stop);
+      i = stop;
+    } else if (ch === '$' && /\d/.test(text[i + 1] || '')) {
+      const match = /^\$(\d+)/.exec(text.slice(i));
+      const index = parseInt(match[1], 10) - 1;
+      if (index >= params.length) {
+        throw new Error(`Query references $${index + 1} but only ${params.length} parameter(s) were given.`);
+      }
+      values.push(params[index]);
+      sql += '?';
+      i += match[0].length;
+    } else if (/^ILIKE\b/i.test(text.slice(i, i + 6)) && !/\w/.test(text[i - 1] || '')) {
+      sql += 'LIKE';
+      i += 5;
+    } else {
+      sql += ch;
+      i++;
+    }
+  }
+  return { sql, values };
+}
+
+function normalize([result]) {
+  if (Array.isArray(result)) {
+    return { rows: result, rowCount: result.length };
+  }
+  return { rows: [], rowCount: result.affectedRows, insertId: result.insertId };
+}
+
+const RETURNING_PATTERN = /^\s*(INSERT\s+INTO|UPDATE|DELETE\s+FROM)\s+(\w+)([\s\S]*?)\s+RETURNING\s+([\s\S]+?)\s*;?\s*$/i;
+
+// Splits "UPDATE t SET ... WHERE x RETURNING cols" into its parts; null when there's no RETURNING
+function parseReturning(text) {
+  const match = RETURNING_PATTERN.exec(text);
+  if (!match) return null;
+  const [, verb, table, rest, columns] = match;
+  const whereIndex = rest.search(/\sWHERE\s/i);
+  return {
+    kind: verb.split(/\s+/)[0].toUpperCase(),
+    table,
+    statement: `${verb} ${table}${rest}`,
+    where: whereIndex === -1 ? null : rest.slice(whereIndex + 1),
+    columns,
+  };
+}
+
+const ON_CONFLICT_PATTERN = /^(\s*)INSERT\b([\s\S]*?)\s+ON\s+CONFLICT(\s*\([^)]*\))?\s+DO\s+NOTHING\s*;?\s*$/i;
+
+// INSERT IGNORE also turns some other errors (bad values, foreign keys) into warnings, so only use
+// ON CONFLICT DO NOTHING with values that are known to be valid
+function rewriteOnConflict(text) {
+  const match = ON_CONFLICT_PATTERN.exec(text);
+  return match ? `${match[1]}INSERT IGNORE${match[2]}` : text;
+}
+
+async function runQuery(conn, text, params) {
+  text = rewriteOnConflict(text);
+  const returning = parseReturning(text);
+  if (!returning) {
+    const { sql, values } = translate(text, params);
+    return normalize(await conn.query(sql, values));
+  }
+
+  const { kind, table, statement, where, columns } = returning;
+  const selectReturned = async whereClause => {
+    const { sql, values } = translate(`SELECT ${columns} FROM ${table} ${whereClause || ''}`, params);
+    return (await conn.query(sql, values))[0];
+  };
+
+  if (kind === 'DELETE') {
+    // Read the rows first; they're gone afterwards
+    const rows = await selectReturned(where && `${where} FOR UPDATE`);
+    const { sql, values } = translate(statement, params);
+    const result = normalize(await conn.query(sql, values));
+    return { ...result, rows };
+  }
+
+  const { sql, values } = translate(statement, params);
+  const result = normalize(await conn.query(sql, values));
+  if (result.rowCount === 0) return result;
+
+  if (kind === 'INSERT') {
+    if (columns.trim() === 'id') {
+      const rows = Array.from({ length: result.rowCount }, (_, n) => ({ id: result.insertId + n }));
+      return { ...result, rows };
+    }
+    const [rows] = await conn.query(
+      `SELECT ${columns} FROM ${table} WHERE id >= ? AND id < ? ORDER BY id`,
+      [result.insertId, result.insertId + result.rowCount]
+    );
+    return { ...result, rows };
+  }
+
+  // UPDATE: the WHERE must not depend on columns the SET just changed
+  return { ...result, rows: await selectReturned(where) };
+}
+
+function createPool(config) {
+  const pool = mysql.createPool({
+    host: config.host,
+    port: config.port,
+    user: config.user,
+    password: config.password,
+    database: config.database,
+    ssl: config.ssl || undefined,
+    connectionLimit: config.poolSize,
+    // mysql2 only times out opening a connection; waiting for a free one in the pool isn't limited
+    connectTimeout: config.connectionTimeoutMs,
+    idleTimeout: config.idleTimeoutMs,
+    // BOOLEAN columns are TINYINT(1); hand them out as true/false like PostgreSQL does
+    typeCast: (field, next) => {
+      if (field.type === 'TINY' && field.length === 1) {
+        const value = field.string();
+        return value === null ? null : value === '1';
+      }
+      return next();
+    },
+  });
+
+  const instrument = config.instrument || (query => query);
+
+  return {
+    query: instrument((text, params) => runQuery(pool, text, params)),
+    getClient: async () => {
+      const conn = await pool.getConnection();
+      return {
+        query: instrument((text, params) => runQuery(conn, text, params)),
+        release: () => conn.release(),
+        connection: conn,
+      };
+    },
+    end: () => pool.end(),
+    // mysql2 doesn't expose these publicly; its pool keeps them in these lists
+    stats: () => ({
+      total: pool.pool._allConnections.length,
+      idle: pool.pool._freeConnections.length,
+      waiting: pool.pool._connectionQueue.length,
+    }),
+  };
+}
+
+// JSON array of the rows of `alias` ([] when there are none). MySQL has no row_to_json,
+// so the columns are listed explicitly; `{ name, type: 'boolean' }` entries come out as
+// JSON true/false instead of 1/0. Rows where `alias`.id is NULL (from a LEFT JOIN) come out as null.
+function jsonArrayAgg(alias, columns) {
+  const pairs = columns.map(col => {
+    if (typeof col === 'string') return `'${col}', ${alias}.${col}`;
+    const value = col.type === 'boolean'
+      ? `IF(${alias}.${col.name}, CAST('true' AS JSON), CAST('false' AS JSON))`
+      : `${alias}.${col.name}`;
+    return `'${col.name}', ${value}`;
+  }).join(', ');
+  return `CAST(COALESCE(JSON_ARRAYAGG(CASE WHEN ${alias}.id IS NOT NULL THEN JSON_OBJECT(${pairs}) END), JSON_ARRAY()) AS JSON)`;
+}
+
+// Rows of a SELECT, streamed from the server as they arrive. MySQL can't abandon a result
+// set halfway, so stopping early destroys the connection (releasing it afterwards is a no-op).
+async function* streamQuery(client, text, params) {
+  const { sql, values } = translate(text, params);
+  const stream = client.connection.connection.query(sql, values).stream();
+  let finished = false;
+  try {
+    for await (const row of stream) {
+      yield row;
+    }
+    finished = true;
+  } finally {
+    if (!finished) {
+      client.connection.destroy();
+    }
+  }
+}
+
+const CAST_TYPES = {
+  text: 'CHAR',
+  integer: 'SIGNED',
+  bigint: 'SIGNED',
+  float8: 'DOUBLE',
+  timestamptz: 'DATETIME(6)',
+};
+
+function cast(expr, type) {
+  return `CAST(${expr} AS ${CAST_TYPES[type] || type})`;
+}
+
+// MySQL can't run several statements in one query unless multipleStatements is on,
+// so migration scripts are split on the semicolons that end a line.
+function splitStatements(sql) {
+  return sql
+    .split(/;\s*(?:\r?\n|$)/)
+    .map(statement => statement.replace(/^\s*--.*$/gm, '').trim())
+    .filter(Boolean);
+}
+
+const migrations = {
+  createTableSql: `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6)
+    )
+  `,
+  lock: async client => {
+    const result = await client.query('SELECT GET_LOCK($1, $2) AS acquired', [MIGRATION_LOCK_NAME, MIGRATION_LOCK_TIMEOUT_SECONDS]);
+    if (result.rows[0].acquired !== 1) {
+      throw new Error('Timed out waiting for the migration lock.');
+    }
+  },
+  unlock: client => client.query('SELECT RELEASE_LOCK($1)', [MIGRATION_LOCK_NAME]),
+  runScript: async (client, sql) => {
+    for (const statement of splitStatements(sql)) {
+      await client.query(statement);
+    }
+  },
+};
+
+module.exports = {
+  name: 'mysql',
+  defaultPort: 3306,
+  createPool,
+  jsonArrayAgg,
+  streamQuery,
+  cast,
+  migrations,
+};
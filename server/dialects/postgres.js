@@ -0,0 +1,101 @@
+// dialects/postgres.js — PostgreSQL via pg
+//
+// Route handlers are written in PostgreSQL's SQL, so this dialect passes queries through unchanged.
+
+const { Pool } = require('pg');
+const Cursor = require('pg-cursor');
+
+// Arbitrary constant for pg_advisory_lock, shared by every instance running migrations
+const MIGRATION_LOCK_ID = 72700401;
+
+function createPool(config) {
+  const pool = new Pool({
+    host: config.host,
+    port: config.port,
+    user: config.user,
+    password: config.password,
+    database: config.database,
+    ssl: config.ssl,
+    max: config.poolSize,
+    // How long to wait for a connection, new or from the pool
+    connectionTimeoutMillis: config.connectionTimeoutMs,
+    idleTimeoutMillis: config.idleTimeoutMs,
+  });
+  const instrument = config.instrument || (query => query);
+  // Clients are reused, so each one's query is wrapped once, when it connects. pool.query goes
+  // through client.query too, but with a callback, which instrument() passes through untimed.
+  pool.on('connect', client => {
+    client.query = instrument(client.query.bind(client));
+  });
+
+  return {
+    query: instrument((text, params) => pool.query(text, params)),
+    getClient: () => pool.connect(),
+    end: () => pool.end(),
+    stats: () => ({ total: pool.totalCount, idle: pool.idleCount, waiting: pool.waitingCount }),
+  };
+}
+
+// JSON array of the rows of `alias` ([] when there are none). `columns` is only needed by
+// dialects without row_to_json. Rows where `alias`.id is NULL (from a LEFT JOIN) come out as null.
+function jsonArrayAgg(alias) {
+  return `COALESCE(json_agg(CASE WHEN ${alias}.id IS NOT NULL THEN row_to_json(${alias}) END), '[]'::json)`;
+}
+
+// Rows of a SELECT, read through a server-side cursor `batchSize` rows at a time.
+// Stopping early (break/return in for await) closes the cursor.
+async function* streamQuery(client, text, params, batchSize = 500) {
+  const cursor = client.query(new Cursor(text, params));
+  try {
+    while (true) {
+      const rows = await cursor.read(batchSize);
+      if (rows.length === 0) return;
+      yield* rows;
+    }
+  } finally {
+    await cursor.close();
+  }
+}
+
+function cast(expr, type) {
+  return `(${expr})::${type}`;
+}
+
+// LISTENs on `channel` with `client` (which must be kept for it) and calls onPayload for each
+// NOTIFY. Returns a function that stops listening.
+async function listen(client, channel, onPayload) {
+  const handler = message => {
+    if (message.channel === channel) onPayload(message.payload);
+  };
+  client.on('notification', handler);
+  await client.query(`LISTEN ${channel}`);
+  return async () => {
+    client.removeListener('notification', handler);
+    await client.query(`UNLISTEN ${channel}`);
+  };
+}
+
+const migrations = {
+  createTableSql: `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )
+  `,
+  lock: client => client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]),
+  unlock: client => client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]),
+  runScript: (client, sql) => client.query(sql),
+};
+
+module.exports = {
+  name: 'postgres',
+  defaultPort: 5432,
+  createPool,
+  jsonArrayAgg,
+  streamQuery,
+  cast,
+  listen,
+  migrations,
+};
@@ -0,0 +1,202 @@
+// duplicates.js — finding and merging duplicate customers
+//
+// Two customers are probable duplicates when at least two of these hold: they have the same
+// phone number, similar names ("Ramesh K" / "Ramesh Kumar"), or a shared address. Candidate
+// pairs come from the database (same phone or shared address); names are compared here, so
+// both dialects find the same duplicates. Phone numbers and addresses shared by more than
+// MAX_SHARED customers (an office, a placeholder) aren't used as evidence.
+
+const { recordChange } = require('./audit');
+const { lockDefaultAddress } = require('./addresses');
+
+const MAX_SHARED = 10;
+const NAME_SIMILARITY = 0.5;
+
+class MergeError extends Error {
+  constructor(message, status = 400, field = undefined) {
+    super(message);
+    this.status = status;
+    this.field = field;
+  }
+}
+
+// Lower-cased words of a name or address, without punctuation
+function words(text) {
+  return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// pg_trgm-style trigram similarity (0..1) of two strings
+function trigrams(text) {
+  const set = new Set();
+  for (const word of words(text)) {
+    const padded = `  ${word} `;
+    for (let i = 0; i < padded.length - 2; i++) {
+      set.add(padded.slice(i, i + 3));
+    }
+  }
+  return set;
+}
+
+function similarity(a, b) {
+  const ta = trigrams(a);
+  const tb = trigrams(b);
+  let shared = 0;
+  for (const t of ta) {
+    if (tb.has(t)) shared++;
+  }
+  const union = ta.size + tb.size - shared;
+  return union === 0 ? 0 : shared / union;
+}
+
+// Same name part, one an abbreviation of the other ("K" / "Kumar"), or a likely typo
+function namePartsMatch(a, b) {
+  const x = words(a).join(' ');
+  const y = words(b).join(' ');
+  if (!x || !y) return false;
+  return x.startsWith(y) || y.startsWith(x) || similarity(x, y) >= NAME_SIMILARITY;
+}
+
+// Whether two customers' names are similar, allowing first and last name to be swapped
+function similarNames(c1, c2) {
+  return (namePartsMatch(c1.first_name, c2.first_name) && namePartsMatch(c1.last_name, c2.last_name))
+    || (namePartsMatch(c1.first_name, c2.last_name) && namePartsMatch(c1.last_name, c2.first_name));
+}
+
+// Key under which two addresses count as the same place
+function addressKey(address) {
+  return [address.address_details, address.city, address.state, address.pin_code]
+    .map(part => words(part).join(' '))
+    .join('|');
+}
+
+// Pairs of live customers (customer_id < other_id) sharing a phone number or an address
+const CANDIDATE_SQL = `
+  SELECT c1.id AS customer_id, c2.id AS other_id, 'same_phone' AS reason
+  FROM (
+    SELECT phone_e164 FROM customers
+    WHERE deleted_at IS NULL
+    GROUP BY phone_e164
+    HAVING COUNT(*) BETWEEN 2 AND $1
+  ) shared
+  JOIN customers c1 ON c1.phone_e164 = shared.phone_e164 AND c1.deleted_at IS NULL
+  JOIN customers c2 ON c2.phone_e164 = shared.phone_e164 AND c2.deleted_at IS NULL AND c2.id > c1.id
+  UNION
+  SELECT DISTINCT a1.customer_id, a2.customer_id AS other_id, 'shared_address' AS reason
+  FROM (
+    SELECT a.pin_code, LOWER(TRIM(a.address_details)) AS details
+    FROM addresses a
+    JOIN customers c ON c.id = a.customer_id AND c.deleted_at IS NULL
+    WHERE a.deleted_at IS NULL
+    GROUP BY a.pin_code, LOWER(TRIM(a.address_details))
+    HAVING COUNT(DISTINCT a.customer_id) BETWEEN 2 AND $1
+  ) shared
+  JOIN addresses a1 ON a1.pin_code = shared.pin_code AND LOWER(TRIM(a1.address_details)) = shared.details AND a1.deleted_at IS NULL
+  JOIN addresses a2 ON a2.pin_code = shared.pin_code AND LOWER(TRIM(a2.address_details)) = shared.details AND a2.deleted_at IS NULL
+    AND a2.customer_id > a1.customer_id
+  JOIN customers c1 ON c1.id = a1.customer_id AND c1.deleted_at IS NULL
+  JOIN customers c2 ON c2.id = a2.customer_id AND c2.deleted_at IS NULL
+`;
+
+// Groups of probable duplicates, newest first: [{ customers, matches: [{ customer_ids, reasons }] }]
+async function findDuplicateGroups(db) {
+  const candidates = await db.query(CANDIDATE_SQL, [MAX_SHARED]);
+  const pairs = new Map();
+  for (const row of candidates.rows) {
+    const key = `${row.customer_id}:${row.other_id}`;
+    if (!pairs.has(key)) {
+      pairs.set(key, { customer_ids: [row.customer_id, row.other_id], reasons: [] });
+    }
+    pairs.get(key).reasons.push(row.reason);
+  }
+  if (pairs.size === 0) return [];
+
+  const ids = [...new Set([...pairs.values()].flatMap(pair => pair.customer_ids))];
+  const customerSql = `
+    SELECT id, first_name, last_name, phone_number, phone_e164, created_at FROM customers
+    WHERE id IN (${ids.map((id, i) => `$${i + 1}`).join(', ')})
+  `;
+  const customers = new Map((await db.query(customerSql, ids)).rows.map(row => [row.id, row]));
+
+  // Union-find over the pairs with at least two reasons
+  const parent = new Map();
+  const find = id => {
+    while (parent.get(id) !== id) id = parent.get(id);
+    return id;
+  };
+  const matches = [];
+  for (const pair of pairs.values()) {
+    const [a, b] = pair.customer_ids;
+    if (similarNames(customers.get(a), customers.get(b))) {
+      pair.reasons.push('similar_name');
+    }
+    if (pair.reasons.length < 2) continue;
+    pair.reasons.sort();
+    matches.push(pair);
+    for (const id of [a, b]) {
+      if (!parent.has(id)) parent.set(id, id);
+    }
+    parent.set(find(b), find(a));
+  }
+
+  const groups = new Map();
+  for (const match of matches) {
+    const root = find(match.customer_ids[0]);
+    if (!groups.has(root)) groups.set(root, { ids: new Set(), matches: [] });
+    const group = groups.get(root);
+    match.customer_ids.forEach(id => group.ids.add(id));
+    group.matches.push(match);
+  }
+  return [...groups.values()]
+    .map(group => ({
+      customers: [...group.ids].sort((x, y) => x - y).map(id => customers.get(id)),
+      matches: group.matches,
+    }))
+    .sort((x, y) => y.customers[y.customers.length - 1].id - x.customers[x.customers.length - 1].id);
+}
+
+// Folds the source customer into the target using `client`, which must already be inside a
+// transaction: the source's addresses move to the target (dropping ones the target already
+// has), and the source goes to the trash marked as merged. Returns { moved, duplicates }.
+async function mergeCustomers(client, { sourceId, targetId, actor }) {
+  if (String(sourceId) === String(targetId)) {
+    throw new MergeError("A customer can't be merged into itself.", 400, 'source_id');
+  }
+
+  // Lock both in id order, so concurrent merges of the same pair can't deadlock
+  const lockSql = "SELECT * FROM customers WHERE id IN ($1, $2) AND deleted_at IS NULL ORDER BY id FOR UPDATE";
+  const locked = await client.query(lockSql, [sourceId, targetId]);
+  const source = locked.rows.find(row => String(row.id) === String(sourceId));
+  const target = locked.rows.find(row => String(row.id) === String(targetId));
+  if (!source) throw new MergeError("Source customer not found.", 404, 'source_id');
+  if (!target) throw new MergeError("Target customer not found.", 404, 'target_id');
+
+  const addressSql = "SELECT * FROM addresses WHERE customer_id = $1 AND deleted_at IS NULL ORDER BY id FOR UPDATE";
+  const targetAddresses = (await client.query(addressSql, [target.id])).rows;
+  const sourceAddresses = (await client.query(addressSql, [source.id])).rows;
+  const targetHasDefault = Boolean(await lockDefaultAddress(client, target.id));
+  const known = new Set(targetAddresses.map(addressKey));
+
+  const deletedAt = new Date();
+  const result = { moved: [], duplicates: [] };
+  for (const address of sourceAddresses) {
+    const key = addressKey(address);
+    if (known.has(key)) {
+      const deleted = await client.query("UPDATE addresses SET deleted_at = $1, is_default = FALSE WHERE id = $2 RETURNING *", [deletedAt, address.id]);
+      await recordChange(client, { entityType: 'address', action: 'delete', actor, before: address, after: deleted.rows[0] });
+      result.duplicates.push(address.id);
+      continue;
+    }
+    known.add(key);
+    // The target keeps its default; it only takes over the source's if it had none
+    const isDefault = address.is_default && !targetHasDefault;
+    const moved = await client.query("UPDATE addresses SET customer_id = $1, is_default = $2 WHERE id = $3 RETURNING *", [target.id, isDefault, address.id]);
+    await recordChange(client, { entityType: 'address', action: 'update', actor, before: address, after: moved.rows[0] });
+    result.moved.push(address.id);
+  }
+
+  const merged = await client.query("UPDATE customers SET deleted_at = $1, merged_into = $2 WHERE id = $3 RETURNING *", [deletedAt, target.id, source.id]);
+  await recordChange(client, { entityType: 'customer', action: 'merge', actor, before: source, after: merged.rows[0] });
+  return result;
+}
+
+module.exports = { MAX_SHARED, MergeError, similarNames, findDuplicateGroups, mergeCustomers };
@@ -0,0 +1,131 @@
+// exporter.js — streaming CSV, JSON Lines and XLSX writers for GET /api/customers/export
+//
+// Rows are written to the response as they come off the database cursor; writers wait for
+// the response to drain so a slow client doesn't make us buffer the whole export.
+
+const ExcelJS = require('exceljs');
+const { SCHEMAS } = require('./validation');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+// customer: one row per customer, addresses flattened into one column
+// address: one row per address, customer fields repeated (customers without addresses get one row)
+const LAYOUTS = {
+  customer: ['id', 'first_name', 'last_name', 'phone_number', 'phone_e164', 'created_at', 'address_count', 'addresses'],
+  address: ['customer_id', 'first_name', 'last_name', 'phone_number', 'phone_e164', 'created_at',
+    'address_id', 'address_type', 'address_details', 'city', 'state', 'pin_code', 'is_default'],
+};
+
+// Query string of GET /api/customers/export: the customer list filters plus format and layout
+const QUERY_SCHEMA = {
+  ...SCHEMAS.customerListQuery,
+  format: { oneOf: Object.keys(FORMATS) },
+  layout: { oneOf: Object.keys(LAYOUTS) },
+};
+
+// Resolves once the response can take more data (or has gone away)
+function drain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+async function write(res, chunk) {
+  if (!res.write(chunk)) {
+    await drain(res);
+  }
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=@\t\r]|^[+-](?!\d)/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function flattenAddress(address) {
+  return `${address.address_details}, ${address.city}, ${address.state} ${address.pin_code}`;
+}
+
+// The record written for one database row; nested addresses stay nested only in JSON Lines
+function toRecord(row, layout, format) {
+  if (layout === 'address') {
+    return row;
+  }
+  const addresses = row.addresses.filter(addr => addr !== null);
+  return {
+    id: row.id,
+    first_name: row.first_name,
+    last_name: row.last_name,
+    phone_number: row.phone_number,
+    phone_e164: row.phone_e164,
+    created_at: row.created_at,
+    address_count: addresses.length,
+    addresses: format === 'jsonl' ? addresses : addresses.map(flattenAddress).join(' | '),
+  };
+}
+
+// Returns { write(row), end() } writing `layout` rows to `res` in `format`
+function createWriter(res, format, layout) {
+  const columns = LAYOUTS[layout];
+
+  if (format === 'jsonl') {
+    return {
+      write: row => write(res, JSON.stringify(toRecord(row, layout, format)) + '\n'),
+      end: async () => res.end(),
+    };
+  }
+
+  if (format === 'csv') {
+    let wroteHeader = false;
+    return {
+      write: async row => {
+        if (!wroteHeader) {
+          wroteHeader = true;
+          await write(res, columns.join(',') + '\r\n');
+        }
+        const record = toRecord(row, layout, format);
+        await write(res, columns.map(col => csvCell(record[col])).join(',') + '\r\n');
+      },
+      end: async () => {
+        if (!wroteHeader) {
+          res.write(columns.join(',') + '\r\n');
+        }
+        res.end();
+      },
+    };
+  }
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+  const worksheet = workbook.addWorksheet('Customers');
+  worksheet.columns = columns.map(col => ({ header: col, key: col }));
+  return {
+    write: async row => {
+      worksheet.addRow(toRecord(row, layout, format)).commit();
+      if (res.writableNeedDrain) {
+        await drain(res);
+      }
+    },
+    end: async () => {
+      worksheet.commit();
+      await workbook.commit();
+    },
+  };
+}
+
+module.exports = { FORMATS, LAYOUTS, QUERY_SCHEMA, createWriter };
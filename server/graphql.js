@@ -0,0 +1,444 @@
+// graphql.js — the /graphql endpoint
+//
+// Customers and addresses as GraphQL, alongside the REST routes and with the same rules: queries
+// use the search and addressCount filters and cursor pagination of GET /api/customers, mutations
+// go through customers.js with input checked against the same validation.js schemas, and the
+// same roles apply (mutations need editor, deleteCustomer admin).
+//
+// Addresses and customers reached through other objects are loaded with per-request DataLoaders,
+// so a page of customers with their addresses takes one address query, not one per customer.
+//
+// Problems come back as GraphQL errors with extensions.code: VALIDATION_FAILED (with `errors`,
+// as in the REST 422 body), NOT_FOUND, CONFLICT, PRECONDITION_FAILED (with the current `version`)
+// and FORBIDDEN. Mutations taking `version` only apply when it is the row's current version,
+// like If-Match on REST.
+
+const DataLoader = require('dataloader');
+const { buildSchema, parse, visit, Kind, GraphQLError } = require('graphql');
+const { createHandler } = require('graphql-http/lib/use/express');
+const { hasRole } = require('./middleware/auth');
+const { actorOf } = require('./audit');
+const { SCHEMAS, validateInput } = require('./validation');
+const { checkAddressPinCode } = require('./pincodes');
+const { customerListFilters, filteredCustomerIds, roundRelevance } = require('./search');
+const {
+  SEARCH_SORT_KEYS,
+  PaginationError,
+  parsePageParams,
+  keysetCondition,
+  orderByClause,
+  cursorSelect,
+  takePage,
+} = require('./pagination');
+const {
+  CustomerError,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+} = require('./customers');
+
+const typeDefs = `
+  type Customer {
+    id: Int!
+    first_name: String!
+    last_name: String!
+    phone_number: String!
+    phone_e164: String!
+    created_at: String!
+    version: Int!
+    address_count: Int!
+    "Live addresses, the default first"
+    addresses: [Address!]!
+    "Search relevance, when listed with q"
+    relevance: Float
+  }
+
+  type Address {
+    id: Int!
+    customer_id: Int!
+    address_type: String!
+    address_details: String!
+    city: String!
+    state: String!
+    pin_code: String!
+    is_default: Boolean!
+    version: Int!
+    customer: Customer
+  }
+
+  type CustomerPage {
+    data: [Customer!]!
+    next_cursor: String
+    "Customers matching the filters, on every page"
+    total: Int!
+  }
+
+  enum AddressCount { single multiple }
+  enum CustomerSort { relevance name phone address_count created_at id }
+  enum SortOrder { asc desc }
+
+  "A PIN code problem that PIN_CODE_CHECK=lenient lets through"
+  type Warning {
+    field: String!
+    warning: String!
+  }
+
+  type Query {
+    customer(id: Int!): Customer
+    customers(q: String, addressCount: AddressCount, limit: Int, cursor: String, sort: CustomerSort, order: SortOrder): CustomerPage!
+    customerCount(q: String, addressCount: AddressCount): Int!
+    address(id: Int!): Address
+  }
+
+  input NewCustomerInput {
+    first_name: String
+    last_name: String
+    phone_number: String
+    address_type: String
+    address_details: String
+    city: String
+    state: String
+    pin_code: String
+  }
+
+  input CustomerPatchInput {
+    first_name: String
+    last_name: String
+    phone_number: String
+  }
+
+  input NewAddressInput {
+    address_type: String
+    address_details: String
+    city: String
+    state: String
+    pin_code: String
+    is_default: Boolean
+  }
+
+  input AddressPatchInput {
+    address_type: String
+    address_details: String
+    city: String
+    state: String
+    pin_code: String
+  }
+
+  type CreateCustomerPayload {
+    customer: Customer!
+    address: Address!
+    warnings: [Warning!]!
+  }
+
+  type AddressPayload {
+    address: Address!
+    warnings: [Warning!]!
+  }
+
+  type DeleteAddressPayload {
+    address: Address!
+    "The customer's new default, when the deleted address was the default"
+    default_address: Address
+  }
+
+  type Mutation {
+    createCustomer(input: NewCustomerInput!): CreateCustomerPayload!
+    updateCustomer(id: Int!, input: CustomerPatchInput!, version: Int): Customer!
+    deleteCustomer(id: Int!, version: Int): Customer!
+    addAddress(customer_id: Int!, input: NewAddressInput!): AddressPayload!
+    updateAddress(id: Int!, input: AddressPatchInput!, version: Int): AddressPayload!
+    deleteAddress(id: Int!, version: Int): DeleteAddressPayload!
+  }
+`;
+
+const ERROR_CODES = {
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  412: 'PRECONDITION_FAILED',
+  422: 'VALIDATION_FAILED',
+};
+
+function validationError(errors) {
+  return new GraphQLError("Validation failed.", { extensions: { code: 'VALIDATION_FAILED', errors } });
+}
+
+function toGraphQLError(err) {
+  if (!(err instanceof CustomerError)) return err;
+  const extensions = { code: ERROR_CODES[err.status] };
+  if (err.field) extensions.field = err.field;
+  if (err.errors) extensions.errors = err.errors;
+  if (err.current) extensions.version = err.current.version;
+  return new GraphQLError(err.message, { extensions });
+}
+
+function requireRole(context, role) {
+  if (!hasRole(context.user, role)) {
+    throw new GraphQLError(`This action requires the ${role} role.`, { extensions: { code: 'FORBIDDEN' } });
+  }
+}
+
+// `input` checked against a validation.js schema; returns the normalized value or throws VALIDATION_FAILED
+function checkInput(schema, input) {
+  const { value, errors } = validateInput(schema, input);
+  if (errors.length > 0) throw validationError(errors);
+  return value;
+}
+
+function checkPatch(schema, input) {
+  const value = checkInput(schema, input);
+  if (Object.keys(value).length === 0) {
+    throw validationError([{ field: null, error: "Give at least one field to update." }]);
+  }
+  return value;
+}
+
+// The PIN code check that the REST routes run with checkPinCode; returns the warnings
+function checkPinCode(input) {
+  const { errors, warnings } = checkAddressPinCode(input);
+  if (errors.length > 0) throw validationError(errors);
+  return warnings;
+}
+
+// The `version` argument as a customers.js precondition
+function versionIs(version) {
+  return version === undefined || version === null ? undefined : row => row.version === version;
+}
+
+function placeholders(values) {
+  return values.map((value, i) => `$${i + 1}`).join(', ');
+}
+
+function createLoaders(db) {
+  return {
+    // Live addresses by customer id, the default first
+    addresses: new DataLoader(async customerIds => {
+      const sql = `SELECT * FROM addresses WHERE customer_id IN (${placeholders(customerIds)}) AND deleted_at IS NULL ORDER BY is_default DESC, id`;
+      const rows = (await db.query(sql, customerIds)).rows;
+      return customerIds.map(id => rows.filter(row => row.customer_id === id));
+    }),
+    // Live customers by id
+    customers: new DataLoader(async ids => {
+      const sql = `SELECT * FROM customers WHERE id IN (${placeholders(ids)}) AND deleted_at IS NULL`;
+      const rows = (await db.query(sql, ids)).rows;
+      return ids.map(id => rows.find(row => row.id === id) || null);
+    }),
+  };
+}
+
+// Runs a mutation in its own transaction. Loaders are cleared afterwards, so what the mutation
+// returns is read fresh.
+async function inTransaction(context, work) {
+  const client = await context.db.getClient();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw toGraphQLError(err);
+  } finally {
+    client.release();
+    Object.values(context.loaders).forEach(loader => loader.clearAll());
+  }
+}
+
+// Sets the resolvers on the schema's fields: { TypeName: { field: resolve } }
+function addResolvers(schema, resolvers) {
+  for (const [typeName, fields] of Object.entries(resolvers)) {
+    const typeFields = schema.getType(typeName).getFields();
+    for (const [fieldName, resolve] of Object.entries(fields)) {
+      typeFields[fieldName].resolve = resolve;
+    }
+  }
+  return schema;
+}
+
+const resolvers = {
+  Query: {
+    customer: (parent, { id }, { loaders }) => loaders.customers.load(id),
+
+    customers: async (parent, { q, addressCount, limit, cursor, sort, order }, { db }) => {
+      checkInput(SCHEMAS.customerListQuery, { q, addressCount });
+      const filters = customerListFilters({ q, addressCount });
+      let page;
+      try {
+        const query = { limit: limit ?? undefined, cursor, sort, order };
+        page = filters.relevance
+          ? parsePageParams(query, { sortKeys: SEARCH_SORT_KEYS, defaultSort: 'relevance' })
+          : parsePageParams(query);
+      } catch (err) {
+        if (err instanceof PaginationError) throw validationError([{ field: err.field, error: err.message }]);
+        throw err;
+      }
+
+      const { fromClause, conditions, havingConditions, groupBy, params } = filters;
+      const keyset = keysetCondition(page, params);
+      if (keyset) {
+        (page.sortKey.aggregate ? havingConditions : conditions).push(keyset);
+      }
+      const sql = `
+        SELECT
+          c.id, c.first_name, c.last_name, c.phone_number, c.phone_e164, c.created_at, c.version,
+          COUNT(a.id) AS address_count${filters.relevance ? `,\n          ${filters.relevance} AS relevance` : ''}${cursorSelect(page).map(col => `,\n          ${col}`).join('')}
+        ${fromClause}
+        WHERE ${conditions.join(" AND ")}
+        GROUP BY ${groupBy.join(", ")}
+        ${havingConditions.length > 0 ? "HAVING " + havingConditions.join(" AND ") : ""}
+        ORDER BY ${orderByClause(page)}
+        LIMIT ${page.limit + 1}
+      `;
+      const { rows, nextCursor } = takePage(page, (await db.query(sql, params)).rows);
+      return { data: rows, next_cursor: nextCursor, filters: { q, addressCount } };
+    },
+
+    customerCount: async (parent, { q, addressCount }, { db }) => {
+      checkInput(SCHEMAS.customerListQuery, { q, addressCount });
+      const filters = customerListFilters({ q, addressCount });
+      const sql = `SELECT COUNT(*) AS total FROM (${filteredCustomerIds(filters)}) AS filtered_customers`;
+      return parseInt((await db.query(sql, filters.params)).rows[0].total) || 0;
+    },
+
+    address: async (parent, { id }, { db }) => {
+      const result = await db.query("SELECT * FROM addresses WHERE id = $1 AND deleted_at IS NULL", [id]);
+      return result.rows[0] || null;
+    },
+  },
+
+  Customer: {
+    created_at: customer => new Date(customer.created_at).toISOString(),
+    address_count: async (customer, args, { loaders }) => (
+      customer.address_count !== undefined
+        ? parseInt(customer.address_count) || 0
+        : (await loaders.addresses.load(customer.id)).length
+    ),
+    addresses: (customer, args, { loaders }) => loaders.addresses.load(customer.id),
+    relevance: customer => (customer.relevance === undefined ? null : roundRelevance(customer.relevance)),
+  },
+
+  Address: {
+    customer: (address, args, { loaders }) => loaders.customers.load(address.customer_id),
+  },
+
+  CustomerPage: {
+    // Counted only when asked for, without the cursor
+    total: (page, args, context) => resolvers.Query.customerCount(null, page.filters, context),
+  },
+
+  Mutation: {
+    createCustomer: (parent, { input }, context) => {
+      requireRole(context, 'editor');
+      const value = checkInput(SCHEMAS.newCustomer, input);
+      const warnings = checkPinCode(value);
+      return inTransaction(context, async client => ({
+        ...(await createCustomer(client, value, { actor: context.actor })),
+        warnings,
+      }));
+    },
+
+    updateCustomer: (parent, { id, input, version }, context) => {
+      requireRole(context, 'editor');
+      const changes = checkPatch(SCHEMAS.customerPatch, input);
+      return inTransaction(context, client => updateCustomer(client, id, changes, { actor: context.actor, precondition: versionIs(version) }));
+    },
+
+    deleteCustomer: (parent, { id, version }, context) => {
+      requireRole(context, 'admin');
+      return inTransaction(context, client => deleteCustomer(client, id, { actor: context.actor, precondition: versionIs(version) }));
+    },
+
+    addAddress: (parent, { customer_id: customerId, input }, context) => {
+      requireRole(context, 'editor');
+      const { is_default, ...value } = checkInput(SCHEMAS.newAddress, input);
+      const warnings = checkPinCode(value);
+      return inTransaction(context, async client => ({
+        address: await addAddress(client, customerId, value, { actor: context.actor, makeDefault: is_default === true }),
+        warnings,
+      }));
+    },
+
+    updateAddress: (parent, { id, input, version }, context) => {
+      requireRole(context, 'editor');
+      const changes = checkPatch(SCHEMAS.addressPatch, input);
+      return inTransaction(context, client => updateAddress(client, id, changes, { actor: context.actor, precondition: versionIs(version) }));
+    },
+
+    deleteAddress: (parent, { id, version }, context) => {
+      requireRole(context, 'editor');
+      return inTransaction(context, async client => {
+        const { address, defaultAddressId } = await deleteAddress(client, id, { actor: context.actor, precondition: versionIs(version) });
+        const defaultAddress = defaultAddressId === null
+          ? null
+          : (await client.query("SELECT * FROM addresses WHERE id = $1", [defaultAddressId])).rows[0];
+        return { address, default_address: defaultAddress };
+      });
+    },
+  },
+};
+
+const schema = addResolvers(buildSchema(typeDefs), resolvers);
+
+// Express handler for /graphql over `db` (see db.js); mount it after authenticate(), which sets req.user
+function graphqlHandler({ db }) {
+  return createHandler({
+    schema,
+    context: req => ({ db, user: req.raw.user, actor: actorOf(req.raw), loaders: createLoaders(db) }),
+  });
+}
+
+// Variables of a /graphql request; GET sends them as a JSON string
+function requestVariables(variables) {
+  if (typeof variables !== 'string') {
+    return variables || {};
+  }
+  try {
+    return JSON.parse(variables) || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+// Whether `document` searches: some field is given a q argument that isn't null or empty, like
+// customers(q: "ramesh"). Fragments count too, even when the operation run doesn't spread them.
+function usesSearch(document, variables) {
+  const values = { ...variables };
+  let found = false;
+  visit(document, {
+    VariableDefinition(node) {
+      const name = node.variable.name.value;
+      if (values[name] === undefined && node.defaultValue) values[name] = node.defaultValue.value;
+    },
+    Argument(node) {
+      if (node.name.value !== 'q') return;
+      const value = node.value.kind === Kind.VARIABLE ? values[node.value.name.value] : node.value.value;
+      if (value !== undefined && value !== null && value !== '') found = true;
+    },
+  });
+  return found;
+}
+
+// Rate-limit budget (middleware/rateLimit.js) for a /graphql request: 'write' for mutations,
+// 'expensive' for searches (as GET /api/customers/search), 'read' for everything else, including
+// documents that don't parse
+function rateLimitBudget(req) {
+  const { query, operationName, variables } = req.method === 'GET' ? req.query : (req.body || {});
+  if (typeof query !== 'string') {
+    return 'read';
+  }
+  try {
+    const document = parse(query);
+    const operations = document.definitions.filter(definition => definition.kind === 'OperationDefinition');
+    const operation = operations.find(op => op.name && op.name.value === operationName) || operations[0];
+    if (operation && operation.operation === 'mutation') {
+      return 'write';
+    }
+    return usesSearch(document, requestVariables(variables)) ? 'expensive' : 'read';
+  } catch (err) {
+    return 'read';
+  }
+}
+
+module.exports = { schema, graphqlHandler, rateLimitBudget };
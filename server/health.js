@@ -0,0 +1,72 @@
+// health.js — liveness and readiness probes
+//
+//   GET /healthz  the process is up and serving; never touches the database
+//   GET /readyz   the server can take traffic: the database answers within HEALTH_CHECK_TIMEOUT_MS
+//                 (default 2000), every migration is applied and the server isn't shutting down.
+//                 503 otherwise, with the failing checks in the body.
+//
+// Both are public and kept out of the request logs and metrics; they're polled every few seconds.
+
+const { loadMigrations, pendingMigrations } = require('./migrate');
+const { config } = require('./config');
+
+const TIMEOUT_MS = config.healthCheckTimeoutMs;
+
+// The migration files don't change while the server runs
+const migrations = loadMigrations();
+let shuttingDown = false;
+
+// Makes /readyz fail from now on, so load balancers stop sending traffic before the server closes
+function markShuttingDown() {
+  shuttingDown = true;
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkDatabase(db) {
+  const started = Date.now();
+  const client = await db.getClient();
+  try {
+    await client.query('SELECT 1');
+    const pending = await pendingMigrations(client, migrations);
+    return { durationMs: Date.now() - started, pending };
+  } finally {
+    client.release();
+  }
+}
+
+// GET /healthz
+function liveness(req, res) {
+  res.json({ status: 'ok' });
+}
+
+// GET /readyz, checking `db` (see db.js)
+function readinessHandler({ db }) {
+  return async (req, res) => {
+    if (shuttingDown) {
+      return res.status(503).json({ status: 'shutting_down' });
+    }
+    let result;
+    try {
+      result = await withTimeout(checkDatabase(db), TIMEOUT_MS, `The database did not answer within ${TIMEOUT_MS} ms.`);
+    } catch (err) {
+      return res.status(503).json({ status: 'unavailable', checks: { database: { status: 'failed', error: err.message } } });
+    }
+    const checks = {
+      database: { status: 'ok', duration_ms: result.durationMs },
+      migrations: { status: result.pending.length === 0 ? 'ok' : 'pending', pending: result.pending },
+    };
+    if (result.pending.length > 0) {
+      return res.status(503).json({ status: 'unavailable', checks });
+    }
+    res.json({ status: 'ready', checks });
+  };
+}
+
+module.exports = { liveness, readinessHandler, markShuttingDown };
@@ -0,0 +1,155 @@
+// importer.js — bulk import of customers with addresses from CSV or JSON Lines
+//
+// Rows are read from the request stream one at a time and go through the same rules as
+// POST /api/customers, and are written with the same functions (customers.js). Rows with the same
+// first name, last name and phone number (compared in E.164) are one customer: the first creates
+// it, the rest add addresses to it.
+
+const readline = require('readline');
+const { parse } = require('csv-parse');
+const { SCHEMAS, validateInput, findDuplicateCustomer } = require('./validation');
+const { createCustomer, addAddress } = require('./customers');
+const { checkAddressPinCode } = require('./pincodes');
+const { toE164 } = require('./phones');
+const { config } = require('./config');
+
+const MAX_ROWS = config.importMaxRows;
+
+const CONTENT_TYPES = {
+  'text/csv': 'csv',
+  'application/x-ndjson': 'jsonl',
+  'application/jsonl': 'jsonl',
+  'application/x-jsonlines': 'jsonl',
+};
+
+class ImportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// 'csv' or 'jsonl' from ?format=, falling back to the Content-Type; null when neither says
+function importFormat(req) {
+  if (req.query.format) {
+    return ['csv', 'jsonl'].includes(req.query.format) ? req.query.format : null;
+  }
+  const contentType = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+  return CONTENT_TYPES[contentType] || null;
+}
+
+// Yields { record } for each row of the upload, or { error } for a row that can't be read at all
+async function* readRows(stream, format) {
+  if (format === 'csv') {
+    const parser = stream.pipe(parse({
+      columns: header => header.map(column => column.trim().toLowerCase()),
+      bom: true,
+      trim: true,
+      skip_empty_lines: true,
+      relax_column_count: true,
+    }));
+    try {
+      for await (const record of parser) {
+        yield { record };
+      }
+    } catch (err) {
+      throw new ImportError(`Invalid CSV: ${err.message}`);
+    }
+    return;
+  }
+
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      yield { error: "Row is not valid JSON." };
+      continue;
+    }
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      yield { error: "Row must be a JSON object." };
+      continue;
+    }
+    yield { record };
+  }
+}
+
+// Imports every row using `client`, which must already be inside a transaction.
+// Returns { summary, rows } where each row is reported as accepted, duplicate or invalid.
+async function importCustomers(client, rows, { actor, dryRun = false }) {
+  const summary = { total: 0, accepted: 0, duplicate: 0, invalid: 0, customers_created: 0 };
+  const report = [];
+  // name + phone -> { customerId } for customers created by this import, { duplicateOf } for existing ones
+  const seen = new Map();
+
+  for await (const { record, error } of rows) {
+    summary.total++;
+    const row = summary.total;
+    if (row > MAX_ROWS) {
+      throw new ImportError(`Imports are limited to ${MAX_ROWS} rows.`, 413);
+    }
+
+    if (error) {
+      summary.invalid++;
+      report.push({ row, status: 'invalid', errors: [{ field: 'general', error }] });
+      continue;
+    }
+
+    const { value: input, errors } = validateInput(SCHEMAS.newCustomer, record);
+    const pinCheck = errors.length === 0 ? checkAddressPinCode(input) : { errors: [], warnings: [] };
+    errors.push(...pinCheck.errors);
+    if (errors.length > 0) {
+      summary.invalid++;
+      report.push({ row, status: 'invalid', errors });
+      continue;
+    }
+
+    const { first_name, last_name } = input;
+    const phone_e164 = toE164(input.phone_number);
+    const key = JSON.stringify([first_name, last_name, phone_e164]);
+    if (!seen.has(key)) {
+      const duplicateOf = await findDuplicateCustomer(client, { first_name, last_name, phone_e164 });
+      seen.set(key, duplicateOf ? { duplicateOf } : {});
+    }
+    const customer = seen.get(key);
+
+    if (customer.duplicateOf) {
+      summary.duplicate++;
+      report.push({
+        row,
+        status: 'duplicate',
+        customer_id: customer.duplicateOf,
+        errors: [{ field: 'phone_number', error: "Customer with this name and phone number already exists." }],
+      });
+      continue;
+    }
+
+    const createdCustomer = !customer.customerId;
+    let addressId;
+    if (createdCustomer) {
+      // With their first address, which becomes the default
+      const created = await createCustomer(client, input, { actor });
+      customer.customerId = created.customer.id;
+      addressId = created.address.id;
+      summary.customers_created++;
+    } else {
+      addressId = (await addAddress(client, customer.customerId, input, { actor })).id;
+    }
+
+    summary.accepted++;
+    const entry = { row, status: 'accepted', new_customer: createdCustomer };
+    if (pinCheck.warnings.length > 0) entry.warnings = pinCheck.warnings;
+    // Ids from a dry run are rolled back and would be handed out again
+    if (!dryRun) {
+      entry.customer_id = customer.customerId;
+      entry.address_id = addressId;
+    }
+    report.push(entry);
+  }
+
+  return { summary, rows: report };
+}
+
+module.exports = { MAX_ROWS, ImportError, importFormat, readRows, importCustomers };
@@ -0,0 +1,50 @@
+// logger.js — structured logs
+//
+// One JSON object per line on stdout: { time, level, msg, request_id, ...fields }. request_id is
+// filled in for anything logged while handling a request (see middleware/requestLog.js), including
+// database queries and errors deep in a handler. An `err` field is written as { message, code, stack }.
+//
+// Settings: LOG_LEVEL (debug, info, warn, error or silent; default info).
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { config } = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const MIN_LEVEL = LEVELS[config.logLevel];
+
+// { requestId } for the request being handled
+const requestContext = new AsyncLocalStorage();
+
+function serializeError(err) {
+  if (!(err instanceof Error)) {
+    return err;
+  }
+  return { message: err.message, code: err.code, stack: err.stack };
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) {
+    return;
+  }
+  const context = requestContext.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    request_id: context ? context.requestId : undefined,
+    ...fields,
+  };
+  if (fields.err) {
+    entry.err = serializeError(fields.err);
+  }
+  process.stdout.write(JSON.stringify(entry) + '\n');
+}
+
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+};
+
+module.exports = { logger, requestContext };
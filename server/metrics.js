@@ -0,0 +1,100 @@
+// metrics.js — Prometheus metrics, served at /metrics
+//
+//   http_requests_total{method, route, status}                 counter
+//   http_request_duration_seconds{method, route, status}        histogram
+//   db_query_duration_seconds{operation, outcome}               histogram; operation is the statement's
+//                                                                first keyword, outcome ok or error
+//   db_pool_connections{state}                                  gauge; state is total, idle or waiting
+// plus prom-client's default process metrics (CPU, memory, event loop lag, …).
+//
+// `route` is the Express route path (/api/customers/:id), so ids don't multiply the series;
+// requests answered before reaching a route (authentication, rate limits, 404s) count as "other".
+
+const crypto = require('crypto');
+const client = require('prom-client');
+const { config } = require('./config');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests, by route and status.',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register],
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency, by route and status.',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+const queryDuration = new client.Histogram({
+  name: 'db_query_duration_seconds',
+  help: 'Database query latency, by statement type.',
+  labelNames: ['operation', 'outcome'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [register],
+});
+
+// Reads the pool's { total, idle, waiting } at scrape time; set by trackPool()
+let poolStats = null;
+
+new client.Gauge({
+  name: 'db_pool_connections',
+  help: 'Database pool connections: total open, idle, and requests waiting for one.',
+  labelNames: ['state'],
+  registers: [register],
+  collect() {
+    if (!poolStats) return;
+    for (const [state, count] of Object.entries(poolStats())) {
+      this.set({ state }, count);
+    }
+  },
+});
+
+const OPERATIONS = ['select', 'insert', 'update', 'delete', 'with', 'begin', 'commit', 'rollback'];
+
+function statementType(text) {
+  const keyword = (/^\s*(\w+)/.exec(text) || [])[1];
+  const operation = keyword && keyword.toLowerCase();
+  return OPERATIONS.includes(operation) ? operation : 'other';
+}
+
+function observeRequest({ method, route, status, seconds }) {
+  const labels = { method, route, status: String(status) };
+  httpRequests.inc(labels);
+  httpDuration.observe(labels, seconds);
+}
+
+function observeQuery({ text, seconds, failed }) {
+  queryDuration.observe({ operation: statementType(text), outcome: failed ? 'error' : 'ok' }, seconds);
+}
+
+function trackPool(stats) {
+  poolStats = stats;
+}
+
+function sameSecret(given, expected) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+// GET /metrics. With METRICS_TOKEN set, scrapers must send Authorization: Bearer <METRICS_TOKEN>.
+async function metricsHandler(req, res) {
+  const token = config.metricsToken;
+  if (token && !sameSecret(req.get('Authorization') || '', `Bearer ${token}`)) {
+    return res.status(401).json({ error: "Invalid or missing metrics token." });
+  }
+  try {
+    res.set('Content-Type', register.contentType);
+    res.send(await register.metrics());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+module.exports = { register, observeRequest, observeQuery, trackPool, metricsHandler };
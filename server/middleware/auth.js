@@ -0,0 +1,107 @@
+// middleware/auth.js — API key / JWT authentication and role checks
+//
+// Requests authenticate with either:
+//   X-API-Key: <key>                 keys are configured in API_KEYS as name:role:key, comma-separated
+//   Authorization: Bearer <jwt>      HS256, signed with JWT_SECRET, carrying `sub` and `role` claims
+//
+// Roles, each including the ones before it:
+//   viewer — read-only (GET)
+//   editor — create and update customers and addresses
+//   admin  — delete customers, bulk operations
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { config, ROLES } = require('../config');
+
+// Keys are kept as SHA-256 digests so they can be compared in constant time regardless of length
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+const apiKeys = config.auth.apiKeys.map(({ name, role, key }) => ({ name, role, digest: digest(key) }));
+
+function findApiKey(key) {
+  const candidate = digest(key);
+  return apiKeys.find(entry => crypto.timingSafeEqual(entry.digest, candidate)) || null;
+}
+
+function verifyToken(token) {
+  if (!config.auth.jwtSecret) {
+    return null;
+  }
+  try {
+    const claims = jwt.verify(token, config.auth.jwtSecret, { algorithms: ['HS256'] });
+    if (!claims.sub || !ROLES.includes(claims.role)) {
+      return null;
+    }
+    return claims;
+  } catch (err) {
+    return null;
+  }
+}
+
+function signToken(sub, role, expiresIn = '12h') {
+  if (!config.auth.jwtSecret) {
+    throw new Error('JWT_SECRET is not set.');
+  }
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(', ')}.`);
+  }
+  return jwt.sign({ sub, role }, config.auth.jwtSecret, { algorithm: 'HS256', expiresIn });
+}
+
+function unauthorized(res, message) {
+  res.set('WWW-Authenticate', 'Bearer');
+  return res.status(401).json({ error: message });
+}
+
+// Works out who the request's credentials belong to: { user: { id, role, via } }, or
+// { error } when they're missing or invalid
+function identify(req) {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    const entry = findApiKey(apiKey);
+    if (!entry) {
+      return { error: "Invalid API key." };
+    }
+    return { user: { id: entry.name, role: entry.role, via: 'api_key' } };
+  }
+
+  const header = req.get('Authorization') || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  if (match) {
+    const claims = verifyToken(match[1]);
+    if (!claims) {
+      return { error: "Invalid or expired token." };
+    }
+    return { user: { id: String(claims.sub), role: claims.role, via: 'jwt' } };
+  }
+
+  return { error: "Authentication required." };
+}
+
+// Sets req.user = { id, role, via } or responds 401
+function authenticate(req, res, next) {
+  const { user, error } = identify(req);
+  if (error) {
+    return unauthorized(res, error);
+  }
+  req.user = user;
+  next();
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Responds 403 unless the authenticated user has at least `role`
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: `This action requires the ${role} role.` });
+    }
+    next();
+  };
+}
+
+module.exports = { ROLES, identify, authenticate, requireRole, hasRole, signToken };
@@ -0,0 +1,121 @@
+// middleware/idempotency.js — safe retries of the create routes with Idempotency-Key
+//
+// POST /api/customers, /api/customers/:id/addresses and /api/addresses take an Idempotency-Key
+// header (any unique string, such as a UUID, of up to 255 visible ASCII characters). The route
+// claims the key in its transaction before writing anything and stores its response with it just
+// before COMMIT, so the key is kept exactly when the create committed:
+//   - a retry with the same key and request gets the stored response again, with
+//     Idempotent-Replayed: true, instead of a 409 or a second address
+//   - a retry while the first request is still running waits for it, then gets its response
+//   - the same key with a different request (another route, or another body) gets 422
+//   - after an error nothing is stored, so the request can be retried with the same key
+// Keys belong to the caller (see audit.js actorOf) and expire after IDEMPOTENCY_KEY_TTL_HOURS
+// (default 24). Requests without the header work as before.
+
+const crypto = require('crypto');
+const { actorOf } = require('../audit');
+const { validationFailed } = require('./validate');
+const { logger } = require('../logger');
+const { config } = require('../config');
+
+const TTL_MS = config.idempotencyKeyTtlHours * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// The key was used for a different request; routes answer 422 with it as the Idempotency-Key error
+class IdempotencyError extends Error {}
+
+// JSON with object keys sorted, so the same body sent with its fields in another order matches
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+// sha256 of the method, path and (validated) body
+function fingerprintOf(req) {
+  return crypto.createHash('sha256').update(`${req.method} ${req.path}\n${canonicalJson(req.body)}`).digest('hex');
+}
+
+// Middleware for the create routes, after validate(): checks the Idempotency-Key header and sets
+// req.idempotency = { key, fingerprint } for claimIdempotencyKey(). Expired keys of every caller
+// are deleted through `db` from time to time.
+function idempotencyKey({ db }) {
+  let lastPrune = 0;
+  return (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+      return next();
+    }
+    if (!KEY_PATTERN.test(key)) {
+      return validationFailed(res, [{ field: 'Idempotency-Key', error: "Must be 1 to 255 visible ASCII characters." }]);
+    }
+    if (Date.now() - lastPrune > PRUNE_INTERVAL_MS) {
+      lastPrune = Date.now();
+      db.query("DELETE FROM idempotency_keys WHERE expires_at <= $1", [new Date()])
+        .catch(err => logger.warn('pruning idempotency keys failed', { err }));
+    }
+    req.idempotency = { key, fingerprint: fingerprintOf(req) };
+    next();
+  };
+}
+
+// Claims the request's Idempotency-Key with `client`, inside the route's transaction and before it
+// writes anything. Returns { replay, save }:
+//   replay  the stored { status, body } when this request was already made with the key (send it
+//           with sendReplay() and write nothing), otherwise null
+//   save    save(status, body) stores the route's response with the key; call it before COMMIT
+// Without a key there's nothing to replay and save() does nothing. Throws IdempotencyError when
+// the key was used for a different request.
+async function claimIdempotencyKey(client, req) {
+  if (!req.idempotency) {
+    return { replay: null, save: async () => {} };
+  }
+  const { key, fingerprint } = req.idempotency;
+  const actor = actorOf(req);
+  const now = new Date();
+
+  // An expired key is free again
+  await client.query("DELETE FROM idempotency_keys WHERE actor = $1 AND idempotency_key = $2 AND expires_at <= $3", [actor, key, now]);
+  // Waits while another transaction holds the key, and inserts nothing if that one committed
+  const insertSql = `
+    INSERT INTO idempotency_keys (actor, idempotency_key, fingerprint, expires_at)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT DO NOTHING
+  `;
+  const inserted = await client.query(insertSql, [actor, key, fingerprint, new Date(now.getTime() + TTL_MS)]);
+  if (inserted.rowCount === 1) {
+    return {
+      replay: null,
+      save: (status, body) => client.query(
+        "UPDATE idempotency_keys SET response_status = $1, response_body = $2 WHERE actor = $3 AND idempotency_key = $4",
+        [status, JSON.stringify(body), actor, key]
+      ),
+    };
+  }
+
+  const storedSql = "SELECT fingerprint, response_status, response_body FROM idempotency_keys WHERE actor = $1 AND idempotency_key = $2 FOR UPDATE";
+  const stored = (await client.query(storedSql, [actor, key])).rows[0];
+  if (!stored) {
+    // It expired and another request pruned it in the meantime
+    return claimIdempotencyKey(client, req);
+  }
+  if (stored.fingerprint !== fingerprint) {
+    throw new IdempotencyError("Was already used for a different request.");
+  }
+  const body = typeof stored.response_body === 'string' ? JSON.parse(stored.response_body) : stored.response_body;
+  return { replay: { status: stored.response_status, body }, save: async () => {} };
+}
+
+// Sends a stored response again
+function sendReplay(res, replay) {
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(replay.status).json(replay.body);
+}
+
+module.exports = { IdempotencyError, idempotencyKey, claimIdempotencyKey, sendReplay };
@@ -0,0 +1,51 @@
+// middleware/preconditions.js — optimistic concurrency with ETag / If-Match
+//
+// Customers and addresses carry a row version (see migrations/<dialect>/008_row_version) that
+// goes out as the ETag of their GET responses. A write that sends If-Match is only applied
+// when the row's current version is one of the listed ETags (or the header is "*");
+// otherwise it gets 412 with the current ETag and version, so the client can re-read and retry.
+// Writes without If-Match are applied as before.
+//
+// GET /api/customers/:id also returns the customer's addresses, so its ETag adds a digest of their
+// ids and versions ("3.1f0c9a2b4d6e8a0c"). That keeps If-None-Match from answering 304 after an
+// address changed. If-Match only compares the customer's own version, the part before the dot.
+
+const crypto = require('crypto');
+
+// The ETag for a row: its version, as a strong validator
+function etagOf(row) {
+  return `"${row.version}"`;
+}
+
+function setETag(res, row) {
+  res.set('ETag', etagOf(row));
+}
+
+// The ETag for a row sent together with `children` (rows with id and version)
+function etagWithChildren(row, children) {
+  const digest = crypto.createHash('sha256')
+    .update(children.map(child => `${child.id}:${child.version}`).join(','))
+    .digest('hex')
+    .slice(0, 16);
+  return `"${row.version}.${digest}"`;
+}
+
+function setETagWithChildren(res, row, children) {
+  res.set('ETag', etagWithChildren(row, children));
+}
+
+// True when the request has an If-Match header that `row` (current, locked) doesn't satisfy.
+// Weak ETags (W/"...") never match, as If-Match uses strong comparison.
+function failsIfMatch(req, row) {
+  const header = req.get('If-Match');
+  if (header === undefined) return false;
+  const tags = header.split(',').map(tag => tag.trim());
+  return !tags.some(tag => tag === '*' || tag === etagOf(row) || tag.startsWith(`"${row.version}.`));
+}
+
+// The request's If-Match as a `precondition` for customers.js, which answers 412 when it fails
+function ifMatch(req) {
+  return row => !failsIfMatch(req, row);
+}
+
+module.exports = { etagOf, setETag, etagWithChildren, setETagWithChildren, failsIfMatch, ifMatch };
@@ -0,0 +1,118 @@
+// middleware/rateLimit.js — per-client request budgets
+//
+// Each client gets a fixed window of RATE_LIMIT_WINDOW_SECONDS with a separate budget per kind
+// of request:
+//   read      — GET and HEAD                                    RATE_LIMIT_READ
+//   write     — other methods                                   RATE_LIMIT_WRITE
+//   expensive — the paths given in `expensive` (search, export)  RATE_LIMIT_EXPENSIVE
+// A client is the API key or JWT subject when the request carries valid credentials, otherwise
+// its IP address, so unauthenticated requests (including guessed keys) are limited too.
+//
+// Every limited response carries RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset (seconds)
+// and RateLimit-Policy; over the budget the answer is 429 { error } with Retry-After.
+//
+// Counters live in a store with one method, increment(key, windowMs) → Promise<{ count, resetAt }>,
+// counting the request and returning the count so far in the key's current window and when that
+// window ends (ms timestamp). MemoryStore is the default; pass a shared store (Redis, say) as
+// `store` when several server instances should share budgets. A failing store lets requests through.
+//
+// Settings: RATE_LIMIT (on/off), RATE_LIMIT_WINDOW_SECONDS, RATE_LIMIT_READ, RATE_LIMIT_WRITE,
+// RATE_LIMIT_EXPENSIVE.
+
+const { identify } = require('./auth');
+const { logger } = require('../logger');
+const { config } = require('../config');
+
+const ENABLED = config.rateLimit.enabled;
+const WINDOW_SECONDS = config.rateLimit.windowSeconds;
+const LIMITS = {
+  read: config.rateLimit.read,
+  write: config.rateLimit.write,
+  expensive: config.rateLimit.expensive,
+};
+
+// Counters in this process, for a single server instance
+class MemoryStore {
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.windows = new Map();
+    // Drops finished windows so clients that went away don't pile up
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweeper.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+    window.count += 1;
+    return { count: window.count, resetAt: window.resetAt };
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    }
+  }
+
+  stop() {
+    clearInterval(this.sweeper);
+  }
+}
+
+function clientOf(req) {
+  const { user } = identify(req);
+  return user ? `${user.via}:${user.id}` : `ip:${req.ip}`;
+}
+
+// Options:
+//   store     — counter store, defaults to a new MemoryStore
+//   expensive — paths (relative to the mount point) that use the expensive budget
+//   budget    — req => 'read' | 'write' | 'expensive', replacing the method/path rule
+function rateLimit({ store = new MemoryStore(), expensive = [], budget = undefined } = {}) {
+  const windowMs = WINDOW_SECONDS * 1000;
+  const budgetOf = budget || (req => {
+    // Routes match without regard to case or a trailing slash, so the lookup doesn't either
+    const path = req.path.replace(/(.)\/+$/, '$1').toLowerCase();
+    if (expensive.includes(path)) {
+      return 'expensive';
+    }
+    return req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'write';
+  });
+
+  return async (req, res, next) => {
+    if (!ENABLED) {
+      return next();
+    }
+    const kind = budgetOf(req);
+    const limit = LIMITS[kind];
+
+    let window;
+    try {
+      window = await store.increment(`${kind}:${clientOf(req)}`, windowMs);
+    } catch (err) {
+      logger.error('rate limit store failed', { err });
+      return next();
+    }
+
+    const resetSeconds = Math.max(1, Math.ceil((window.resetAt - Date.now()) / 1000));
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(0, limit - window.count)),
+      'RateLimit-Reset': String(resetSeconds),
+      'RateLimit-Policy': `${limit};w=${WINDOW_SECONDS}`,
+    });
+    if (window.count > limit) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({ error: `Too many requests. Try again in ${resetSeconds} seconds.` });
+    }
+    next();
+  };
+}
+
+module.exports = { MemoryStore, rateLimit };
@@ -0,0 +1,59 @@
+// middleware/requestLog.js — request IDs, access logs and request metrics
+//
+// Every request gets an ID: the caller's X-Request-Id when it looks like one (up to 128 letters,
+// digits and . _ : -), otherwise a new UUID. It is echoed in the X-Request-Id response header and
+// attached to every log line written while the request is handled. When the response finishes,
+// one "request" log line records method, path, route, status, duration and the authenticated
+// user (plus the error message for 5xx answers), and the request is counted in the metrics (metrics.js).
+
+const crypto = require('crypto');
+const { AsyncResource } = require('async_hooks');
+const { logger, requestContext } = require('../logger');
+const { observeRequest } = require('../metrics');
+
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+function requestIdOf(req) {
+  const given = req.get('X-Request-Id');
+  return given && REQUEST_ID.test(given) ? given : crypto.randomUUID();
+}
+
+function requestLog(req, res, next) {
+  const requestId = requestIdOf(req);
+  const started = process.hrtime.bigint();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  // Handlers answer unexpected errors with 500 { error }; keep the message for the log line
+  let errorMessage;
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 500 && body && typeof body.error === 'string') {
+      errorMessage = body.error;
+    }
+    return json(body);
+  };
+
+  requestContext.run({ requestId }, () => {
+    // Bound so the log line has the request ID however the response was finished
+    res.once('finish', AsyncResource.bind(() => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      // req.route is the route that answered; req.baseUrl is its mount point
+      const route = req.route ? req.baseUrl + req.route.path : 'other';
+      observeRequest({ method: req.method, route, status: res.statusCode, seconds });
+      const level = res.statusCode >= 500 ? 'error' : 'info';
+      logger[level]('request', {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        route,
+        status: res.statusCode,
+        duration_ms: Math.round(seconds * 10000) / 10,
+        user: req.user ? req.user.id : undefined,
+        error: errorMessage,
+      });
+    }));
+    next();
+  });
+}
+
+module.exports = { requestLog };
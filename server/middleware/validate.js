@@ -0,0 +1,60 @@
+// middleware/validate.js — schema validation for route params, query strings and bodies
+//
+// validate({ params, query, body }) checks each given part of the request against its schema
+// (see validation.js) and answers 422 listing every problem at once:
+//   { "error": "Validation failed.", "errors": [{ "field": "pin_code", "error": "Pin code must be 6 digits." }] }
+// When everything is valid, req.body is replaced by its normalized value and params are
+// converted in place (ids become numbers). The query string is only checked, since Express
+// parses it again on every read.
+//
+// checkPinCode runs after validate() on routes that save an address; see pincodes.js.
+
+const { validateInput } = require('../validation');
+const { checkAddressPinCode } = require('../pincodes');
+
+// Sends the 422 response for a list of [{ field, error }]
+function validationFailed(res, errors) {
+  return res.status(422).json({ error: "Validation failed.", errors });
+}
+
+function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+    const results = {};
+    for (const part of ['params', 'query', 'body']) {
+      if (schemas[part]) {
+        results[part] = validateInput(schemas[part], req[part]);
+        errors.push(...results[part].errors);
+      }
+    }
+    if (errors.length > 0) {
+      return validationFailed(res, errors);
+    }
+    if (results.params) {
+      Object.assign(req.params, results.params.value);
+    }
+    if (results.body) {
+      req.body = results.body.value;
+    }
+    next();
+  };
+}
+
+// Checks the body's state against its PIN code: strict mode answers 422, lenient mode
+// leaves warnings in res.locals.warnings for withWarnings()
+function checkPinCode(req, res, next) {
+  const { errors, warnings } = checkAddressPinCode(req.body);
+  if (errors.length > 0) {
+    return validationFailed(res, errors);
+  }
+  res.locals.warnings = warnings;
+  next();
+}
+
+// `body` with the request's warnings added, when there are any
+function withWarnings(res, body) {
+  const warnings = res.locals.warnings || [];
+  return warnings.length > 0 ? { ...body, warnings } : body;
+}
+
+module.exports = { validate, validationFailed, checkPinCode, withWarnings };
@@ -0,0 +1,229 @@
+// migrate.js — versioned schema migrations
+//
+// Migrations live in ./migrations/<dialect> (postgres or mysql, see DB_DIALECT) as pairs of files:
+//   001_initial_schema.up.sql
+//   001_initial_schema.down.sql
+// They are applied in version order, each in its own transaction, and recorded in
+// the schema_migrations table together with a checksum of the up file so edits to
+// an already-applied migration are caught.
+//
+// Usage:
+//   node migrate.js up [version]    apply pending migrations (optionally up to version)
+//   node migrate.js down [steps]    roll back the last applied migration(s), default 1
+//   node migrate.js status          list migrations and whether they're applied
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations', db.dialect.name);
+
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+function label(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+// Reads the migrations directory and returns [{ version, name, up, down, checksum }] sorted by version
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(dir)) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+    const [, versionText, name, direction] = match;
+    const version = parseInt(versionText, 10);
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has conflicting names: ${migration.name} and ${name}.`);
+    }
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const migration of migrations) {
+    if (migration.up === undefined) {
+      throw new Error(`Migration ${label(migration)} has no .up.sql file.`);
+    }
+    migration.checksum = checksum(migration.up);
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(db.dialect.migrations.createTableSql);
+}
+
+async function appliedMigrations(client) {
+  const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+}
+
+// Fails if an applied migration was edited or deleted after it ran
+function verifyApplied(migrations, applied) {
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+  for (const row of applied) {
+    const migration = byVersion.get(row.version);
+    if (!migration) {
+      throw new Error(`Applied migration ${label(row)} is missing from ${MIGRATIONS_DIR}.`);
+    }
+    if (migration.checksum !== row.checksum) {
+      throw new Error(`Checksum mismatch for migration ${label(row)}: the file changed after it was applied.`);
+    }
+  }
+}
+
+// Runs `fn` with a dedicated client holding the migration lock, so two instances
+// starting at once apply each migration exactly once (the second waits, then finds nothing to do).
+async function withLock(fn) {
+  const client = await db.getClient();
+  try {
+    await db.dialect.migrations.lock(client);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await db.dialect.migrations.unlock(client);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// MySQL commits DDL implicitly, so there a failed migration can leave partial changes behind
+async function runInTransaction(client, sql, record) {
+  try {
+    await client.query('BEGIN');
+    await db.dialect.migrations.runScript(client, sql);
+    await record();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+// Applies pending migrations up to and including `target` (all of them by default).
+// Returns the migrations that were applied.
+async function migrateUp({ target, log = () => {} } = {}) {
+  const migrations = loadMigrations();
+  return withLock(async client => {
+    const applied = await appliedMigrations(client);
+    verifyApplied(migrations, applied);
+    const appliedVersions = new Set(applied.map(row => row.version));
+
+    const pending = migrations.filter(m =>
+      !appliedVersions.has(m.version) && (target === undefined || m.version <= target));
+    for (const migration of pending) {
+      log(`Applying ${label(migration)}`);
+      await runInTransaction(client, migration.up, () => client.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, migration.checksum]
+      ));
+    }
+    return pending;
+  });
+}
+
+// Rolls back the last `steps` applied migrations. Returns the migrations that were rolled back.
+async function migrateDown({ steps = 1, log = () => {} } = {}) {
+  const migrations = loadMigrations();
+  return withLock(async client => {
+    const applied = await appliedMigrations(client);
+    verifyApplied(migrations, applied);
+    const byVersion = new Map(migrations.map(m => [m.version, m]));
+
+    const toRevert = applied.slice(-steps).reverse().map(row => byVersion.get(row.version));
+    for (const migration of toRevert) {
+      if (migration.down === undefined) {
+        throw new Error(`Migration ${label(migration)} has no .down.sql file and can't be rolled back.`);
+      }
+      log(`Reverting ${label(migration)}`);
+      await runInTransaction(client, migration.down, () => client.query(
+        'DELETE FROM schema_migrations WHERE version = $1',
+        [migration.version]
+      ));
+    }
+    return toRevert;
+  });
+}
+
+// Returns every known migration with its applied_at (null when pending).
+// Doesn't take the lock, so it never waits behind a migration that's running.
+async function status() {
+  const migrations = loadMigrations();
+  const client = await db.getClient();
+  try {
+    await ensureMigrationsTable(client);
+    const applied = await appliedMigrations(client);
+    verifyApplied(migrations, applied);
+    const appliedAt = new Map(applied.map(row => [row.version, row.applied_at]));
+    return migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      applied_at: appliedAt.get(m.version) || null,
+    }));
+  } finally {
+    client.release();
+  }
+}
+
+// Labels of the migrations not yet applied, read with `client` without creating or locking
+// anything (for the readiness check). A database that was never migrated has all of them pending.
+async function pendingMigrations(client, migrations = loadMigrations()) {
+  let applied;
+  try {
+    applied = await appliedMigrations(client);
+  } catch (err) {
+    // No schema_migrations table yet; it's created by the first migration run
+    const exists = await client.query("SELECT 1 FROM information_schema.tables WHERE table_name = 'schema_migrations'");
+    if (exists.rowCount > 0) throw err;
+    applied = [];
+  }
+  const appliedVersions = new Set(applied.map(row => row.version));
+  return migrations.filter(m => !appliedVersions.has(m.version)).map(label);
+}
+
+async function main(argv) {
+  const [command = 'status', arg] = argv;
+  const log = message => console.log(message);
+
+  if (command === 'up') {
+    if (arg !== undefined && !/^\d+$/.test(arg)) {
+      throw new Error(`up expects a migration version number (got "${arg}"). Usage: node migrate.js up [version]`);
+    }
+    const target = arg === undefined ? undefined : Number(arg);
+    const applied = await migrateUp({ target, log });
+    console.log(applied.length ? `Applied ${applied.length} migration(s).` : 'Database is up to date.');
+  } else if (command === 'down') {
+    const steps = arg === undefined ? 1 : Number(arg);
+    if (!/^\d+$/.test(arg ?? '1') || steps < 1) {
+      throw new Error('down expects a positive number of steps.');
+    }
+    const reverted = await migrateDown({ steps, log });
+    console.log(`Reverted ${reverted.length} migration(s).`);
+  } else if (command === 'status') {
+    for (const m of await status()) {
+      const state = m.applied_at ? `applied ${new Date(m.applied_at).toISOString()}` : 'pending';
+      console.log(`${label(m)}  ${state}`);
+    }
+  } else {
+    throw new Error(`Unknown command "${command}". Use up, down or status.`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { loadMigrations, migrateUp, migrateDown, status, pendingMigrations };
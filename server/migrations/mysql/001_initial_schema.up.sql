@@ -0,0 +1,27 @@
+-- Customers and their addresses, as the API has always expected them.
+-- IF NOT EXISTS lets environments that were set up by hand adopt the migrations as-is.
+
+CREATE TABLE IF NOT EXISTS customers (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  first_name VARCHAR(100) NOT NULL,
+  last_name VARCHAR(100) NOT NULL,
+  phone_number VARCHAR(10) NOT NULL,
+  created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+  -- Duplicate check in POST /api/customers
+  INDEX customers_name_phone_idx (first_name, last_name, phone_number),
+  -- Sort keys for GET /api/customers
+  INDEX customers_created_at_idx (created_at),
+  INDEX customers_phone_number_idx (phone_number)
+);
+
+CREATE TABLE IF NOT EXISTS addresses (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  customer_id INT NOT NULL,
+  address_details TEXT NOT NULL,
+  city VARCHAR(100) NOT NULL,
+  state VARCHAR(100) NOT NULL,
+  pin_code VARCHAR(6) NOT NULL,
+  -- Address lookups by customer (details page, JSON_ARRAYAGG subqueries, deletes)
+  INDEX addresses_customer_id_idx (customer_id),
+  CONSTRAINT addresses_customer_id_fkey FOREIGN KEY (customer_id) REFERENCES customers (id)
+);
@@ -0,0 +1,18 @@
+-- Every create/update/delete on customers and addresses, written in the same transaction as the change.
+-- customer_id is denormalized onto address entries so a customer's history includes their addresses,
+-- and there's no foreign key so the history outlives deleted rows.
+
+CREATE TABLE audit_log (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  entity_type VARCHAR(20) NOT NULL CHECK (entity_type IN ('customer', 'address')),
+  entity_id INT NOT NULL,
+  customer_id INT NOT NULL,
+  action VARCHAR(10) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+  actor VARCHAR(255) NOT NULL,
+  changed_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+  old_values JSON,
+  new_values JSON,
+  changes JSON NOT NULL,
+  INDEX audit_log_customer_id_idx (customer_id, changed_at),
+  INDEX audit_log_entity_idx (entity_type, entity_id)
+);
@@ -0,0 +1,12 @@
+-- Soft delete: rows are hidden by setting deleted_at instead of being removed.
+-- A customer's addresses are stamped with the same deleted_at as the customer, so a
+-- restore brings back exactly the addresses that were deleted along with it.
+
+ALTER TABLE customers ADD COLUMN deleted_at DATETIME(6) NULL, ADD INDEX customers_deleted_at_idx (deleted_at);
+ALTER TABLE addresses ADD COLUMN deleted_at DATETIME(6) NULL, ADD INDEX addresses_live_customer_id_idx (customer_id, deleted_at);
+
+-- Restores and purges show up in the audit trail under their own actions.
+-- audit_log_chk_2 is the name MySQL generated for the action CHECK in 002_audit_log.
+ALTER TABLE audit_log DROP CHECK audit_log_chk_2;
+ALTER TABLE audit_log ADD CONSTRAINT audit_log_action_check
+  CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge'));
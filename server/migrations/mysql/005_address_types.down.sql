@@ -0,0 +1,5 @@
+ALTER TABLE addresses
+  DROP INDEX addresses_one_default_idx,
+  DROP CHECK addresses_address_type_check,
+  DROP COLUMN is_default,
+  DROP COLUMN address_type;
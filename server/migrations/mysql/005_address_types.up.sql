@@ -0,0 +1,24 @@
+-- Address types, and one default address per customer.
+-- The unique functional index allows at most one live default per customer (rows where the
+-- expression is NULL don't collide). MySQL has no deferred constraints, so "at least one" is
+-- kept by the API, which moves the default within the same transaction.
+
+ALTER TABLE addresses
+  ADD COLUMN address_type VARCHAR(20) NOT NULL DEFAULT 'other',
+  ADD COLUMN is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD CONSTRAINT addresses_address_type_check CHECK (address_type IN ('home', 'billing', 'shipping', 'other'));
+
+-- The oldest address becomes the default: the oldest live one for live customers, and for
+-- customers in the trash the oldest of those deleted with them, so a restore brings back a default
+UPDATE addresses a
+JOIN (
+  SELECT MIN(a2.id) AS id
+  FROM addresses a2
+  JOIN customers c ON c.id = a2.customer_id
+  WHERE a2.deleted_at IS NULL OR a2.deleted_at = c.deleted_at
+  GROUP BY a2.customer_id
+) oldest ON oldest.id = a.id
+SET a.is_default = TRUE;
+
+CREATE UNIQUE INDEX addresses_one_default_idx
+  ON addresses ((CASE WHEN is_default AND deleted_at IS NULL THEN customer_id END));
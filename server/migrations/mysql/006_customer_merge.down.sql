@@ -0,0 +1,8 @@
+DROP INDEX addresses_pin_code_idx ON addresses;
+
+DELETE FROM audit_log WHERE action = 'merge';
+ALTER TABLE audit_log DROP CHECK audit_log_action_check;
+ALTER TABLE audit_log ADD CONSTRAINT audit_log_action_check
+  CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge'));
+
+ALTER TABLE customers DROP FOREIGN KEY customers_merged_into_fkey, DROP COLUMN merged_into;
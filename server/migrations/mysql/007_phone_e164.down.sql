@@ -0,0 +1,12 @@
+-- Numbers go back to their 10 national digits; the formatting as entered is lost.
+
+UPDATE customers SET phone_number = RIGHT(phone_e164, 10);
+
+ALTER TABLE customers
+  DROP INDEX customers_phone_e164_idx,
+  DROP INDEX customers_name_phone_idx,
+  ADD INDEX customers_name_phone_idx (first_name, last_name, phone_number),
+  ADD INDEX customers_phone_number_idx (phone_number),
+  DROP CHECK customers_phone_e164_check,
+  DROP COLUMN phone_e164,
+  MODIFY COLUMN phone_number VARCHAR(10) NOT NULL;
@@ -0,0 +1,19 @@
+-- Phone numbers in E.164 (see phones.js).
+-- phone_number keeps the number as entered, for display; phone_e164 is the normalized form that
+-- duplicate checks, duplicate detection, sorting and search compare.
+-- Every existing number is 10 digits, entered as an Indian number before country codes were accepted.
+
+ALTER TABLE customers
+  MODIFY COLUMN phone_number VARCHAR(32) NOT NULL,
+  ADD COLUMN phone_e164 VARCHAR(16) NULL;
+UPDATE customers SET phone_e164 = CONCAT('+91', phone_number);
+ALTER TABLE customers
+  MODIFY COLUMN phone_e164 VARCHAR(16) NOT NULL,
+  ADD CONSTRAINT customers_phone_e164_check CHECK (REGEXP_LIKE(phone_e164, '^[+][1-9][0-9]{1,14}$'));
+
+-- Duplicate check in POST /api/customers, and the phone sort key / same-phone duplicate lookups
+ALTER TABLE customers
+  DROP INDEX customers_name_phone_idx,
+  ADD INDEX customers_name_phone_idx (first_name, last_name, phone_e164),
+  DROP INDEX customers_phone_number_idx,
+  ADD INDEX customers_phone_e164_idx (phone_e164);
@@ -0,0 +1,5 @@
+DROP TRIGGER IF EXISTS addresses_bump_version;
+DROP TRIGGER IF EXISTS customers_bump_version;
+
+ALTER TABLE addresses DROP COLUMN version;
+ALTER TABLE customers DROP COLUMN version;
@@ -0,0 +1,13 @@
+-- Row versions for optimistic concurrency (ETag / If-Match on customers and addresses).
+-- A trigger bumps the version on every update, whichever route or helper makes it.
+
+ALTER TABLE customers ADD COLUMN version INT NOT NULL DEFAULT 1;
+ALTER TABLE addresses ADD COLUMN version INT NOT NULL DEFAULT 1;
+
+CREATE TRIGGER customers_bump_version
+  BEFORE UPDATE ON customers
+  FOR EACH ROW SET NEW.version = OLD.version + 1;
+
+CREATE TRIGGER addresses_bump_version
+  BEFORE UPDATE ON addresses
+  FOR EACH ROW SET NEW.version = OLD.version + 1;
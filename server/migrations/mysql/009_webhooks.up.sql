@@ -0,0 +1,43 @@
+-- Transactional outbox and webhook subscriptions (see outbox.js and webhooks.js).
+-- Events are written in the same transaction as the change they describe; the dispatcher fans
+-- each one out to a delivery per matching subscription (setting dispatched_at) and delivers those.
+
+CREATE TABLE outbox_events (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  event_type VARCHAR(50) NOT NULL,
+  customer_id INT NOT NULL,
+  payload JSON NOT NULL,
+  created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+  dispatched_at DATETIME(6) NULL,
+  INDEX outbox_events_undispatched_idx (dispatched_at, id)
+);
+
+CREATE TABLE webhook_subscriptions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  url VARCHAR(2000) NOT NULL,
+  secret VARCHAR(100) NOT NULL,
+  event_types JSON NOT NULL,
+  description VARCHAR(255),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6)
+);
+
+CREATE TABLE webhook_deliveries (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  subscription_id INT NOT NULL,
+  event_id BIGINT NOT NULL,
+  status VARCHAR(10) NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  next_attempt_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+  last_attempt_at DATETIME(6) NULL,
+  last_status INT NULL,
+  last_error TEXT,
+  delivered_at DATETIME(6) NULL,
+  CONSTRAINT webhook_deliveries_status_check CHECK (status IN ('pending', 'delivered', 'dead')),
+  CONSTRAINT webhook_deliveries_subscription_id_fkey FOREIGN KEY (subscription_id) REFERENCES webhook_subscriptions (id) ON DELETE CASCADE,
+  CONSTRAINT webhook_deliveries_event_id_fkey FOREIGN KEY (event_id) REFERENCES outbox_events (id) ON DELETE CASCADE,
+  UNIQUE KEY webhook_deliveries_subscription_event_key (subscription_id, event_id),
+  -- Due deliveries, and the dead-letter list
+  INDEX webhook_deliveries_due_idx (status, next_attempt_at),
+  INDEX webhook_deliveries_status_idx (status, id)
+);
@@ -0,0 +1 @@
+DROP INDEX outbox_events_customer_id_idx ON outbox_events;
@@ -0,0 +1,4 @@
+-- Change stream (GET /api/events/customers, see changefeed.js). MySQL has no LISTEN/NOTIFY,
+-- so the stream polls the outbox; this only adds the index for resuming a stream filtered to one customer.
+
+CREATE INDEX outbox_events_customer_id_idx ON outbox_events (customer_id, id);
@@ -0,0 +1,16 @@
+-- Idempotency-Key for the create routes (see middleware/idempotency.js). A key is claimed in the
+-- same transaction as the rows it creates and holds the response to replay on a retry.
+
+CREATE TABLE idempotency_keys (
+  actor VARCHAR(255) NOT NULL,
+  idempotency_key VARCHAR(255) NOT NULL,
+  -- sha256 of the method, path and body
+  fingerprint CHAR(64) NOT NULL,
+  response_status INT NULL,
+  response_body JSON NULL,
+  created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+  expires_at DATETIME(6) NOT NULL,
+  PRIMARY KEY (actor, idempotency_key),
+  -- Pruning expired keys
+  INDEX idempotency_keys_expires_at_idx (expires_at)
+);
@@ -0,0 +1,40 @@
+-- Customers and their addresses, as the API has always expected them.
+-- IF NOT EXISTS lets environments that were set up by hand adopt the migrations as-is.
+
+CREATE TABLE IF NOT EXISTS customers (
+  id SERIAL PRIMARY KEY,
+  first_name VARCHAR(100) NOT NULL,
+  last_name VARCHAR(100) NOT NULL,
+  phone_number VARCHAR(10) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS addresses (
+  id SERIAL PRIMARY KEY,
+  customer_id INTEGER NOT NULL REFERENCES customers (id),
+  address_details TEXT NOT NULL,
+  city VARCHAR(100) NOT NULL,
+  state VARCHAR(100) NOT NULL,
+  pin_code VARCHAR(6) NOT NULL
+);
+
+-- Address lookups by customer (details page, json_agg subqueries, deletes)
+CREATE INDEX IF NOT EXISTS addresses_customer_id_idx ON addresses (customer_id);
+
+-- Duplicate check in POST /api/customers
+CREATE INDEX IF NOT EXISTS customers_name_phone_idx ON customers (first_name, last_name, phone_number);
+
+-- Sort keys for GET /api/customers
+CREATE INDEX IF NOT EXISTS customers_created_at_idx ON customers (created_at);
+CREATE INDEX IF NOT EXISTS customers_phone_number_idx ON customers (phone_number);
+
+-- Trigram indexes so the ILIKE '%term%' searches don't have to scan every row
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS customers_first_name_trgm_idx ON customers USING gin (first_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS customers_last_name_trgm_idx ON customers USING gin (last_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS customers_phone_number_trgm_idx ON customers USING gin (phone_number gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS addresses_address_details_trgm_idx ON addresses USING gin (address_details gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS addresses_city_trgm_idx ON addresses USING gin (city gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS addresses_state_trgm_idx ON addresses USING gin (state gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS addresses_pin_code_trgm_idx ON addresses USING gin (pin_code gin_trgm_ops);
@@ -0,0 +1,19 @@
+-- Every create/update/delete on customers and addresses, written in the same transaction as the change.
+-- customer_id is denormalized onto address entries so a customer's history includes their addresses,
+-- and there's no foreign key so the history outlives deleted rows.
+
+CREATE TABLE audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  entity_type VARCHAR(20) NOT NULL CHECK (entity_type IN ('customer', 'address')),
+  entity_id INTEGER NOT NULL,
+  customer_id INTEGER NOT NULL,
+  action VARCHAR(10) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+  actor VARCHAR(255) NOT NULL,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  old_values JSONB,
+  new_values JSONB,
+  changes JSONB NOT NULL
+);
+
+CREATE INDEX audit_log_customer_id_idx ON audit_log (customer_id, changed_at);
+CREATE INDEX audit_log_entity_idx ON audit_log (entity_type, entity_id);
@@ -0,0 +1,15 @@
+DELETE FROM audit_log WHERE action IN ('restore', 'purge');
+ALTER TABLE audit_log DROP CONSTRAINT audit_log_action_check;
+ALTER TABLE audit_log ADD CONSTRAINT audit_log_action_check
+  CHECK (action IN ('create', 'update', 'delete'));
+
+DROP INDEX IF EXISTS addresses_live_customer_id_idx;
+DROP INDEX IF EXISTS customers_deleted_at_idx;
+
+-- Soft-deleted rows would reappear once the column is gone
+DELETE FROM addresses WHERE deleted_at IS NOT NULL;
+DELETE FROM addresses WHERE customer_id IN (SELECT id FROM customers WHERE deleted_at IS NOT NULL);
+DELETE FROM customers WHERE deleted_at IS NOT NULL;
+
+ALTER TABLE addresses DROP COLUMN deleted_at;
+ALTER TABLE customers DROP COLUMN deleted_at;
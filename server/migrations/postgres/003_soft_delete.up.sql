@@ -0,0 +1,15 @@
+-- Soft delete: rows are hidden by setting deleted_at instead of being removed.
+-- A customer's addresses are stamped with the same deleted_at as the customer, so a
+-- restore brings back exactly the addresses that were deleted along with it.
+
+ALTER TABLE customers ADD COLUMN deleted_at TIMESTAMPTZ;
+ALTER TABLE addresses ADD COLUMN deleted_at TIMESTAMPTZ;
+
+-- Everything except the trash only looks at live rows
+CREATE INDEX customers_deleted_at_idx ON customers (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX addresses_live_customer_id_idx ON addresses (customer_id) WHERE deleted_at IS NULL;
+
+-- Restores and purges show up in the audit trail under their own actions
+ALTER TABLE audit_log DROP CONSTRAINT audit_log_action_check;
+ALTER TABLE audit_log ADD CONSTRAINT audit_log_action_check
+  CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge'));
@@ -0,0 +1,14 @@
+DROP TRIGGER IF EXISTS addresses_refresh_search ON addresses;
+DROP TRIGGER IF EXISTS customers_refresh_search ON customers;
+DROP FUNCTION IF EXISTS addresses_refresh_search();
+DROP FUNCTION IF EXISTS customers_refresh_search();
+DROP FUNCTION IF EXISTS refresh_customer_search(INTEGER);
+DROP TABLE IF EXISTS customer_search;
+
+CREATE INDEX IF NOT EXISTS customers_first_name_trgm_idx ON customers USING gin (first_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS customers_last_name_trgm_idx ON customers USING gin (last_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS customers_phone_number_trgm_idx ON customers USING gin (phone_number gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS addresses_address_details_trgm_idx ON addresses USING gin (address_details gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS addresses_city_trgm_idx ON addresses USING gin (city gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS addresses_state_trgm_idx ON addresses USING gin (state gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS addresses_pin_code_trgm_idx ON addresses USING gin (pin_code gin_trgm_ops);
@@ -0,0 +1,74 @@
+-- Search document per customer: name, phone number and every live address in one text column,
+-- with a tsvector for full-text matches and a trigram index for fuzzy and substring matches.
+-- Kept in its own table (not on customers) so it stays out of API responses and the audit log,
+-- and kept current by triggers so every write path updates it in the same transaction.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE TABLE customer_search (
+  customer_id INTEGER PRIMARY KEY REFERENCES customers (id) ON DELETE CASCADE,
+  document TEXT NOT NULL,
+  search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('simple', document)) STORED
+);
+
+CREATE INDEX customer_search_vector_idx ON customer_search USING gin (search_vector);
+CREATE INDEX customer_search_document_trgm_idx ON customer_search USING gin (document gin_trgm_ops);
+
+CREATE FUNCTION refresh_customer_search(p_customer_id INTEGER) RETURNS void AS $$
+BEGIN
+  INSERT INTO customer_search (customer_id, document)
+  SELECT c.id, concat_ws(' ', c.first_name, c.last_name, c.phone_number, (
+    SELECT string_agg(concat_ws(' ', a.address_details, a.city, a.state, a.pin_code), ' ' ORDER BY a.id)
+    FROM addresses a
+    WHERE a.customer_id = c.id AND a.deleted_at IS NULL
+  ))
+  FROM customers c
+  WHERE c.id = p_customer_id
+  ON CONFLICT (customer_id) DO UPDATE SET document = EXCLUDED.document;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE FUNCTION customers_refresh_search() RETURNS trigger AS $$
+BEGIN
+  PERFORM refresh_customer_search(NEW.id);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER customers_refresh_search
+  AFTER INSERT OR UPDATE OF first_name, last_name, phone_number ON customers
+  FOR EACH ROW EXECUTE FUNCTION customers_refresh_search();
+
+CREATE FUNCTION addresses_refresh_search() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    PERFORM refresh_customer_search(OLD.customer_id);
+  END IF;
+  IF TG_OP = 'INSERT' OR (TG_OP = 'UPDATE' AND NEW.customer_id <> OLD.customer_id) THEN
+    PERFORM refresh_customer_search(NEW.customer_id);
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER addresses_refresh_search
+  AFTER INSERT OR UPDATE OR DELETE ON addresses
+  FOR EACH ROW EXECUTE FUNCTION addresses_refresh_search();
+
+-- Existing customers
+INSERT INTO customer_search (customer_id, document)
+SELECT c.id, concat_ws(' ', c.first_name, c.last_name, c.phone_number, (
+  SELECT string_agg(concat_ws(' ', a.address_details, a.city, a.state, a.pin_code), ' ' ORDER BY a.id)
+  FROM addresses a
+  WHERE a.customer_id = c.id AND a.deleted_at IS NULL
+))
+FROM customers c;
+
+-- The per-column trigram indexes only served the old ILIKE search
+DROP INDEX IF EXISTS customers_first_name_trgm_idx;
+DROP INDEX IF EXISTS customers_last_name_trgm_idx;
+DROP INDEX IF EXISTS customers_phone_number_trgm_idx;
+DROP INDEX IF EXISTS addresses_address_details_trgm_idx;
+DROP INDEX IF EXISTS addresses_city_trgm_idx;
+DROP INDEX IF EXISTS addresses_state_trgm_idx;
+DROP INDEX IF EXISTS addresses_pin_code_trgm_idx;
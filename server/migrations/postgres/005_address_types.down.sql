@@ -0,0 +1,4 @@
+DROP TRIGGER IF EXISTS addresses_default_check ON addresses;
+DROP FUNCTION IF EXISTS check_default_address();
+DROP INDEX IF EXISTS addresses_one_default_idx;
+ALTER TABLE addresses DROP COLUMN IF EXISTS is_default, DROP COLUMN IF EXISTS address_type;
@@ -0,0 +1,57 @@
+-- Address types, and one default address per customer.
+-- Every customer with live addresses has exactly one live default: the unique index rules out
+-- two, and a deferred constraint trigger rules out none by the time a transaction commits
+-- (in between, the default can move from one address to another).
+
+ALTER TABLE addresses
+  ADD COLUMN address_type VARCHAR(20) NOT NULL DEFAULT 'other'
+    CONSTRAINT addresses_address_type_check CHECK (address_type IN ('home', 'billing', 'shipping', 'other')),
+  ADD COLUMN is_default BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- The oldest address becomes the default: the oldest live one for live customers, and for
+-- customers in the trash the oldest of those deleted with them, so a restore brings back a default
+UPDATE addresses a
+SET is_default = TRUE
+FROM (
+  SELECT MIN(a2.id) AS id
+  FROM addresses a2
+  JOIN customers c ON c.id = a2.customer_id
+  WHERE a2.deleted_at IS NULL OR a2.deleted_at = c.deleted_at
+  GROUP BY a2.customer_id
+) oldest
+WHERE a.id = oldest.id;
+
+CREATE UNIQUE INDEX addresses_one_default_idx ON addresses (customer_id) WHERE is_default AND deleted_at IS NULL;
+
+CREATE FUNCTION check_default_address() RETURNS trigger AS $$
+DECLARE
+  affected INTEGER[];
+  missing INTEGER;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    affected := ARRAY[NEW.customer_id];
+  ELSIF TG_OP = 'DELETE' THEN
+    affected := ARRAY[OLD.customer_id];
+  ELSE
+    affected := ARRAY[OLD.customer_id, NEW.customer_id];
+  END IF;
+
+  SELECT a.customer_id INTO missing
+  FROM addresses a
+  WHERE a.customer_id = ANY (affected) AND a.deleted_at IS NULL
+  GROUP BY a.customer_id
+  HAVING NOT bool_or(a.is_default)
+  LIMIT 1;
+
+  IF missing IS NOT NULL THEN
+    RAISE EXCEPTION 'Customer % has addresses but no default address', missing
+      USING ERRCODE = 'check_violation', CONSTRAINT = 'addresses_default_check';
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE CONSTRAINT TRIGGER addresses_default_check
+  AFTER INSERT OR UPDATE OR DELETE ON addresses
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW EXECUTE FUNCTION check_default_address();
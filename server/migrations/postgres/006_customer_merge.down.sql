@@ -0,0 +1,8 @@
+DROP INDEX IF EXISTS addresses_pin_code_idx;
+
+DELETE FROM audit_log WHERE action = 'merge';
+ALTER TABLE audit_log DROP CONSTRAINT audit_log_action_check;
+ALTER TABLE audit_log ADD CONSTRAINT audit_log_action_check
+  CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge'));
+
+ALTER TABLE customers DROP COLUMN IF EXISTS merged_into;
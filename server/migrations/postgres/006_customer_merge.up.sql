@@ -0,0 +1,12 @@
+-- Merging duplicate customers (POST /api/customers/merge).
+-- A merged-away customer stays in the trash with merged_into pointing at the customer that
+-- absorbed it, which keeps it from being restored as a second copy.
+
+ALTER TABLE customers ADD COLUMN merged_into INTEGER REFERENCES customers (id) ON DELETE SET NULL;
+
+ALTER TABLE audit_log DROP CONSTRAINT audit_log_action_check;
+ALTER TABLE audit_log ADD CONSTRAINT audit_log_action_check
+  CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge', 'merge'));
+
+-- Shared-address lookups in GET /api/customers/duplicates
+CREATE INDEX addresses_pin_code_idx ON addresses (pin_code);
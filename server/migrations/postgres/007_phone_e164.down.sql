@@ -0,0 +1,33 @@
+-- Numbers go back to their 10 national digits; the formatting as entered is lost.
+
+CREATE OR REPLACE FUNCTION refresh_customer_search(p_customer_id INTEGER) RETURNS void AS $$
+BEGIN
+  INSERT INTO customer_search (customer_id, document)
+  SELECT c.id, concat_ws(' ', c.first_name, c.last_name, c.phone_number, (
+    SELECT string_agg(concat_ws(' ', a.address_details, a.city, a.state, a.pin_code), ' ' ORDER BY a.id)
+    FROM addresses a
+    WHERE a.customer_id = c.id AND a.deleted_at IS NULL
+  ))
+  FROM customers c
+  WHERE c.id = p_customer_id
+  ON CONFLICT (customer_id) DO UPDATE SET document = EXCLUDED.document;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS customers_refresh_search ON customers;
+
+UPDATE customers SET phone_number = RIGHT(phone_e164, 10);
+
+DROP INDEX IF EXISTS customers_phone_e164_idx;
+DROP INDEX IF EXISTS customers_name_phone_idx;
+CREATE INDEX customers_name_phone_idx ON customers (first_name, last_name, phone_number);
+CREATE INDEX customers_phone_number_idx ON customers (phone_number);
+
+ALTER TABLE customers DROP COLUMN IF EXISTS phone_e164;
+ALTER TABLE customers ALTER COLUMN phone_number TYPE VARCHAR(10);
+
+CREATE TRIGGER customers_refresh_search
+  AFTER INSERT OR UPDATE OF first_name, last_name, phone_number ON customers
+  FOR EACH ROW EXECUTE FUNCTION customers_refresh_search();
+
+SELECT refresh_customer_search(id) FROM customers;
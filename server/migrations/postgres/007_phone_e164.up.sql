@@ -0,0 +1,40 @@
+-- Phone numbers in E.164 (see phones.js).
+-- phone_number keeps the number as entered, for display; phone_e164 is the normalized form that
+-- duplicate checks, duplicate detection, sorting and search compare.
+-- Every existing number is 10 digits, entered as an Indian number before country codes were accepted.
+
+-- The search trigger names phone_number, which blocks changing its type; it's recreated below
+DROP TRIGGER customers_refresh_search ON customers;
+
+ALTER TABLE customers ALTER COLUMN phone_number TYPE VARCHAR(32);
+ALTER TABLE customers ADD COLUMN phone_e164 VARCHAR(16);
+UPDATE customers SET phone_e164 = '+91' || phone_number;
+ALTER TABLE customers ALTER COLUMN phone_e164 SET NOT NULL;
+ALTER TABLE customers ADD CONSTRAINT customers_phone_e164_check CHECK (phone_e164 ~ '^\+[1-9][0-9]{1,14}$');
+
+-- Duplicate check in POST /api/customers, and the phone sort key / same-phone duplicate lookups
+DROP INDEX IF EXISTS customers_name_phone_idx;
+CREATE INDEX customers_name_phone_idx ON customers (first_name, last_name, phone_e164);
+DROP INDEX IF EXISTS customers_phone_number_idx;
+CREATE INDEX customers_phone_e164_idx ON customers (phone_e164);
+
+-- The search document gets the E.164 number too, so "+91 98765 43210" finds "098765-43210"
+CREATE OR REPLACE FUNCTION refresh_customer_search(p_customer_id INTEGER) RETURNS void AS $$
+BEGIN
+  INSERT INTO customer_search (customer_id, document)
+  SELECT c.id, concat_ws(' ', c.first_name, c.last_name, c.phone_number, c.phone_e164, (
+    SELECT string_agg(concat_ws(' ', a.address_details, a.city, a.state, a.pin_code), ' ' ORDER BY a.id)
+    FROM addresses a
+    WHERE a.customer_id = c.id AND a.deleted_at IS NULL
+  ))
+  FROM customers c
+  WHERE c.id = p_customer_id
+  ON CONFLICT (customer_id) DO UPDATE SET document = EXCLUDED.document;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER customers_refresh_search
+  AFTER INSERT OR UPDATE OF first_name, last_name, phone_number, phone_e164 ON customers
+  FOR EACH ROW EXECUTE FUNCTION customers_refresh_search();
+
+SELECT refresh_customer_search(id) FROM customers;
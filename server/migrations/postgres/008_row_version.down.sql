@@ -0,0 +1,6 @@
+DROP TRIGGER IF EXISTS addresses_bump_version ON addresses;
+DROP TRIGGER IF EXISTS customers_bump_version ON customers;
+DROP FUNCTION IF EXISTS bump_row_version();
+
+ALTER TABLE addresses DROP COLUMN IF EXISTS version;
+ALTER TABLE customers DROP COLUMN IF EXISTS version;
@@ -0,0 +1,20 @@
+-- Row versions for optimistic concurrency (ETag / If-Match on customers and addresses).
+-- A trigger bumps the version on every update, whichever route or helper makes it.
+
+ALTER TABLE customers ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE addresses ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+
+CREATE FUNCTION bump_row_version() RETURNS trigger AS $$
+BEGIN
+  NEW.version := OLD.version + 1;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER customers_bump_version
+  BEFORE UPDATE ON customers
+  FOR EACH ROW EXECUTE FUNCTION bump_row_version();
+
+CREATE TRIGGER addresses_bump_version
+  BEFORE UPDATE ON addresses
+  FOR EACH ROW EXECUTE FUNCTION bump_row_version();
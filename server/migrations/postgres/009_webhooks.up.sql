@@ -0,0 +1,43 @@
+-- Transactional outbox and webhook subscriptions (see outbox.js and webhooks.js).
+-- Events are written in the same transaction as the change they describe; the dispatcher fans
+-- each one out to a delivery per matching subscription (setting dispatched_at) and delivers those.
+
+CREATE TABLE outbox_events (
+  id BIGSERIAL PRIMARY KEY,
+  event_type VARCHAR(50) NOT NULL,
+  customer_id INTEGER NOT NULL,
+  payload JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  dispatched_at TIMESTAMPTZ
+);
+
+CREATE INDEX outbox_events_undispatched_idx ON outbox_events (id) WHERE dispatched_at IS NULL;
+
+CREATE TABLE webhook_subscriptions (
+  id SERIAL PRIMARY KEY,
+  url VARCHAR(2000) NOT NULL,
+  secret VARCHAR(100) NOT NULL,
+  event_types JSONB NOT NULL,
+  description VARCHAR(255),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE webhook_deliveries (
+  id BIGSERIAL PRIMARY KEY,
+  subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions (id) ON DELETE CASCADE,
+  event_id BIGINT NOT NULL REFERENCES outbox_events (id) ON DELETE CASCADE,
+  status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_attempt_at TIMESTAMPTZ,
+  last_status INTEGER,
+  last_error TEXT,
+  delivered_at TIMESTAMPTZ,
+  UNIQUE (subscription_id, event_id)
+);
+
+-- Due deliveries, and the dead-letter list
+CREATE INDEX webhook_deliveries_due_idx ON webhook_deliveries (next_attempt_at) WHERE status = 'pending';
+CREATE INDEX webhook_deliveries_status_idx ON webhook_deliveries (status, id);
+CREATE INDEX webhook_deliveries_event_id_idx ON webhook_deliveries (event_id);
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS outbox_events_customer_id_idx;
+DROP TRIGGER IF EXISTS outbox_events_notify ON outbox_events;
+DROP FUNCTION IF EXISTS notify_outbox_event();
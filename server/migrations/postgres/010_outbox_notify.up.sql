@@ -0,0 +1,17 @@
+-- Change stream (GET /api/events/customers, see changefeed.js): every outbox event is announced
+-- on the outbox_events channel with its id. NOTIFY is delivered on commit, in commit order, and
+-- not at all for rolled-back transactions.
+
+CREATE FUNCTION notify_outbox_event() RETURNS trigger AS $$
+BEGIN
+  PERFORM pg_notify('outbox_events', NEW.id::text);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER outbox_events_notify
+  AFTER INSERT ON outbox_events
+  FOR EACH ROW EXECUTE FUNCTION notify_outbox_event();
+
+-- Resuming a stream filtered to one customer
+CREATE INDEX outbox_events_customer_id_idx ON outbox_events (customer_id, id);
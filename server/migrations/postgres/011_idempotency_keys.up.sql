@@ -0,0 +1,17 @@
+-- Idempotency-Key for the create routes (see middleware/idempotency.js). A key is claimed in the
+-- same transaction as the rows it creates and holds the response to replay on a retry.
+
+CREATE TABLE idempotency_keys (
+  actor VARCHAR(255) NOT NULL,
+  idempotency_key VARCHAR(255) NOT NULL,
+  -- sha256 of the method, path and body
+  fingerprint CHAR(64) NOT NULL,
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (actor, idempotency_key)
+);
+
+-- Pruning expired keys
+CREATE INDEX idempotency_keys_expires_at_idx ON idempotency_keys (expires_at);
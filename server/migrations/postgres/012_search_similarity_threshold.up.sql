@@ -0,0 +1,13 @@
+-- Fuzzy search (search.js) matches with pg_trgm's <% operator, which the trigram index on
+-- customer_search.document serves. At pg_trgm's default word_similarity_threshold of 0.6 it misses
+-- one-letter typos in short names: word_similarity('ramsh', 'Ramesh') is 0.5.
+-- New sessions on this database get 0.4; the SET covers the session running the migration.
+-- Connections already open elsewhere keep the old value until they reconnect.
+
+DO $$
+BEGIN
+  EXECUTE format('ALTER DATABASE %I SET pg_trgm.word_similarity_threshold = 0.4', current_database());
+END;
+$$;
+
+SET pg_trgm.word_similarity_threshold = 0.4;
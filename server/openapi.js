@@ -0,0 +1,820 @@
+// openapi.js — OpenAPI 3 description of every route, served at /api/openapi.json (Swagger UI at /api/docs)
+//
+// Request bodies and query parameters are generated from the validation.js schemas the routes
+// validate against, so the two can't disagree; responses are described here. The contract tests
+// (test/contract.test.js) check real responses against this document and fail when a route in
+// app.js is missing from it.
+
+const { SCHEMAS, MAX_ID } = require('./validation');
+const { MAX_LIMIT, SEARCH_SORT_KEYS, TRASH_SORT_KEYS } = require('./pagination');
+const { FORMATS: EXPORT_FORMATS, QUERY_SCHEMA: EXPORT_QUERY_SCHEMA } = require('./exporter');
+const { MAX_ROWS: IMPORT_MAX_ROWS } = require('./importer');
+const { EVENT_TYPES } = require('./outbox');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => ({ ...schema, nullable: true });
+const arrayOf = items => ({ type: 'array', items });
+const object = (properties, required = Object.keys(properties)) => ({ type: 'object', properties, required });
+const dateTime = { type: 'string', format: 'date-time' };
+const id = { type: 'integer', minimum: 1, maximum: MAX_ID };
+
+// JSON Schema for a field with validation.js `rules`
+function fieldSchema(rules) {
+  const type = rules.type || 'string';
+  if (type === 'integer') return { type: 'integer', minimum: 1, maximum: MAX_ID };
+  if (type === 'boolean') return { type: 'boolean' };
+  if (type === 'list') return { type: 'array', minItems: 1, items: { type: 'string', enum: rules.oneOf } };
+  const schema = { type: 'string' };
+  if (rules.maxLength) schema.maxLength = rules.maxLength;
+  if (rules.pattern) schema.pattern = rules.pattern.source;
+  if (rules.oneOf) schema.enum = rules.oneOf;
+  if (rules.group) schema.description = `Required together with the other ${rules.group} fields.`;
+  return schema;
+}
+
+// Request body schema for a validation.js schema
+function bodySchema(schema) {
+  const properties = Object.fromEntries(Object.entries(schema).map(([field, rules]) => [field, fieldSchema(rules)]));
+  const required = Object.keys(schema).filter(field => schema[field].required);
+  return required.length > 0 ? { type: 'object', properties, required } : { type: 'object', properties };
+}
+
+function jsonBody(schema) {
+  return { required: true, content: { 'application/json': { schema: bodySchema(schema) } } };
+}
+
+// Query parameters for a validation.js schema
+function queryParameters(schema) {
+  return Object.entries(schema).map(([name, rules]) => ({ name, in: 'query', required: Boolean(rules.required), schema: fieldSchema(rules) }));
+}
+
+function pathParameter(name, description) {
+  return { name, in: 'path', required: true, description, schema: id };
+}
+
+const limitParameter = {
+  name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: 25 },
+};
+
+function pageParameters(sortKeys) {
+  return [
+    limitParameter,
+    { name: 'cursor', in: 'query', description: "The previous page's `next_cursor`.", schema: { type: 'string' } },
+    { name: 'sort', in: 'query', schema: { type: 'string', enum: Object.keys(sortKeys) } },
+    { name: 'order', in: 'query', schema: { type: 'string', enum: ['asc', 'desc'] } },
+  ];
+}
+
+function json(description, schema, headers) {
+  const response = { description, content: { 'application/json': { schema } } };
+  if (headers) response.headers = headers;
+  return response;
+}
+
+const etagHeader = { ETag: { description: 'The row version, for If-Match.', schema: { type: 'string' } } };
+const customerEtagHeader = {
+  ETag: { description: 'The customer version and a digest of its addresses, for If-None-Match and If-Match.', schema: { type: 'string' } },
+};
+const ifMatchHeader = {
+  name: 'If-Match', in: 'header', description: 'Only apply the change if the row still has this ETag (412 otherwise).', schema: { type: 'string' },
+};
+const idempotencyKeyHeader = {
+  name: 'Idempotency-Key',
+  in: 'header',
+  description: 'A unique key (such as a UUID) that makes retries safe: a retry with the same key and body gets the first response ' +
+    'again instead of creating another row. Reusing the key for a different request is a 422. Keys expire after IDEMPOTENCY_KEY_TTL_HOURS.',
+  schema: { type: 'string', minLength: 1, maxLength: 255 },
+};
+const replayedHeader = {
+  'Idempotent-Replayed': { description: '`true` when this is the stored response to an earlier request with the same Idempotency-Key.', schema: { type: 'string' } },
+};
+const message = object({ message: { type: 'string' } });
+const rateLimitHeaders = {
+  'Retry-After': { description: 'Seconds until the budget resets.', schema: { type: 'integer' } },
+  'RateLimit-Limit': { description: 'Requests allowed per window in this budget.', schema: { type: 'integer' } },
+  'RateLimit-Remaining': { description: 'Requests left in the current window.', schema: { type: 'integer' } },
+  'RateLimit-Reset': { description: 'Seconds until the current window ends.', schema: { type: 'integer' } },
+  'RateLimit-Policy': { description: '`<limit>;w=<window seconds>`', schema: { type: 'string' } },
+};
+const withWarnings = (properties, required = Object.keys(properties)) => object({ ...properties, warnings: ref('Warnings') }, required);
+
+// Error responses, by status
+const errors = {
+  400: { $ref: '#/components/responses/InvalidBody' },
+  401: { $ref: '#/components/responses/Unauthorized' },
+  403: { $ref: '#/components/responses/Forbidden' },
+  404: { $ref: '#/components/responses/NotFound' },
+  409: { $ref: '#/components/responses/Conflict' },
+  412: { $ref: '#/components/responses/PreconditionFailed' },
+  413: { $ref: '#/components/responses/PayloadTooLarge' },
+  422: { $ref: '#/components/responses/ValidationFailed' },
+  429: { $ref: '#/components/responses/TooManyRequests' },
+  500: { $ref: '#/components/responses/ServerError' },
+};
+const errorResponses = (...statuses) => Object.fromEntries([401, ...statuses, 429, 500].map(status => [status, errors[status]]));
+const adminOnly = "Requires the admin role.";
+
+const schemas = {
+  Error: {
+    type: 'object',
+    properties: {
+      error: { type: 'string' },
+      field: { type: 'string', description: 'The request field the error is about, when there is one.' },
+    },
+    required: ['error'],
+  },
+  FieldErrors: arrayOf(object({ field: nullable({ type: 'string' }), error: { type: 'string' } })),
+  ValidationError: object({
+    error: { type: 'string', enum: ['Validation failed.'] },
+    errors: ref('FieldErrors'),
+  }),
+  PreconditionFailed: object({ error: { type: 'string' }, version: { type: 'integer' } }),
+  Warnings: {
+    description: 'PIN code problems let through by PIN_CODE_CHECK=lenient; left out when there are none.',
+    ...arrayOf(object({ field: { type: 'string' }, warning: { type: 'string' } })),
+  },
+  Customer: object({
+    id,
+    first_name: { type: 'string' },
+    last_name: { type: 'string' },
+    phone_number: { type: 'string', description: 'As entered.' },
+    phone_e164: { type: 'string', example: '+919876543210' },
+    created_at: dateTime,
+    deleted_at: nullable(dateTime),
+    merged_into: nullable(id),
+    version: { type: 'integer' },
+  }),
+  Address: object({
+    id,
+    customer_id: id,
+    address_type: { type: 'string', enum: SCHEMAS.newAddress.address_type.oneOf },
+    address_details: { type: 'string' },
+    city: { type: 'string' },
+    state: { type: 'string' },
+    pin_code: { type: 'string' },
+    is_default: { type: 'boolean' },
+    deleted_at: nullable(dateTime),
+    version: { type: 'integer' },
+  }),
+  CustomerWithAddresses: {
+    allOf: [ref('Customer'), object({ addresses: arrayOf(ref('Address')) })],
+  },
+  CustomerListItem: object({
+    id,
+    first_name: { type: 'string' },
+    last_name: { type: 'string' },
+    phone_number: { type: 'string' },
+    phone_e164: { type: 'string' },
+    created_at: dateTime,
+    version: { type: 'integer' },
+    address_count: { type: 'integer' },
+    addresses: arrayOf(ref('Address')),
+    relevance: { type: 'number', description: 'Only when searching.' },
+  }, ['id', 'first_name', 'last_name', 'phone_number', 'phone_e164', 'created_at', 'version', 'address_count', 'addresses']),
+  TrashedCustomer: object({
+    id,
+    first_name: { type: 'string' },
+    last_name: { type: 'string' },
+    phone_number: { type: 'string' },
+    phone_e164: { type: 'string' },
+    created_at: dateTime,
+    deleted_at: dateTime,
+    merged_into: nullable(id),
+    addresses: arrayOf(ref('Address')),
+  }),
+  AuditEntry: object({
+    id,
+    entity_type: { type: 'string', enum: ['customer', 'address'] },
+    entity_id: id,
+    action: { type: 'string', enum: ['create', 'update', 'delete', 'restore', 'purge', 'merge'] },
+    actor: { type: 'string' },
+    changed_at: dateTime,
+    changes: { type: 'object', description: 'Changed fields as { field: { from, to } }.' },
+    before: nullable({ type: 'object' }),
+    after: nullable({ type: 'object' }),
+  }),
+  Webhook: object({
+    id,
+    url: { type: 'string' },
+    event_types: arrayOf({ type: 'string' }),
+    description: nullable({ type: 'string' }),
+    active: { type: 'boolean' },
+    created_at: dateTime,
+  }),
+  DeadLetter: object({
+    id,
+    subscription_id: id,
+    event_id: id,
+    event_type: { type: 'string', enum: EVENT_TYPES },
+    customer_id: id,
+    attempts: { type: 'integer' },
+    last_attempt_at: nullable(dateTime),
+    last_status: nullable({ type: 'integer' }),
+    last_error: nullable({ type: 'string' }),
+    event_created_at: dateTime,
+  }),
+  Readiness: object({
+    status: { type: 'string', enum: ['ready', 'unavailable', 'shutting_down'] },
+    checks: object({
+      database: object({
+        status: { type: 'string', enum: ['ok', 'failed'] },
+        duration_ms: { type: 'integer' },
+        error: { type: 'string' },
+      }, ['status']),
+      migrations: object({
+        status: { type: 'string', enum: ['ok', 'pending'] },
+        pending: arrayOf({ type: 'string' }),
+      }),
+    }, ['database']),
+  }, ['status']),
+};
+
+const responses = {
+  Unauthorized: json('Missing or invalid credentials.', ref('Error')),
+  Forbidden: json("The credentials' role isn't allowed to do this.", ref('Error')),
+  NotFound: json('Not found.', ref('Error')),
+  Conflict: json('Conflicts with existing data.', ref('Error')),
+  PreconditionFailed: json("If-Match didn't match; the current ETag is in the headers.", ref('PreconditionFailed'), etagHeader),
+  ValidationFailed: json('Invalid input, with every problem listed.', ref('ValidationError')),
+  InvalidBody: json('The request body is not valid JSON.', ref('Error')),
+  PayloadTooLarge: json('The request body is over JSON_BODY_LIMIT.', ref('Error')),
+  TooManyRequests: json("Over the client's rate limit for this kind of request.", ref('Error'), rateLimitHeaders),
+  ServerError: json('Unexpected error.', ref('Error')),
+};
+
+const customerId = pathParameter('id', 'Customer id');
+const addressId = pathParameter('id', 'Address id');
+
+const paths = {
+  '/api/customers': {
+    get: {
+      tags: ['Customers'],
+      summary: 'List customers, with search, filters and keyset pagination',
+      parameters: [
+        ...queryParameters(SCHEMAS.customerListQuery),
+        ...pageParameters(SEARCH_SORT_KEYS).map(param => (param.name === 'sort'
+          ? { ...param, description: 'Defaults to id, or to relevance when searching; relevance needs q.' }
+          : param)),
+        { name: 'include_total', in: 'query', schema: { type: 'string', enum: ['true'] } },
+      ],
+      responses: {
+        200: json('A page of customers.', object({
+          data: arrayOf(ref('CustomerListItem')),
+          next_cursor: nullable({ type: 'string' }),
+          total: { type: 'integer' },
+        }, ['data', 'next_cursor'])),
+        ...errorResponses(422),
+      },
+    },
+    post: {
+      tags: ['Customers'],
+      summary: 'Create a customer with their first address',
+      parameters: [idempotencyKeyHeader],
+      requestBody: jsonBody(SCHEMAS.newCustomer),
+      responses: {
+        201: json('Created.', withWarnings({ message: { type: 'string' }, customerId: id }, ['message', 'customerId']), replayedHeader),
+        ...errorResponses(403, 409, 422),
+      },
+    },
+  },
+  '/api/customers/search': {
+    get: {
+      tags: ['Customers'],
+      summary: 'The most relevant matching customers (the newest customers without q)',
+      parameters: [...queryParameters(SCHEMAS.searchQuery), limitParameter],
+      responses: {
+        200: json('Matching customers.', object({
+          data: arrayOf({ allOf: [ref('CustomerWithAddresses'), { type: 'object', properties: { relevance: { type: 'number' } } }] }),
+        })),
+        ...errorResponses(422),
+      },
+    },
+  },
+  '/api/customers/count': {
+    get: {
+      tags: ['Customers'],
+      summary: 'Number of customers matching the GET /api/customers filters',
+      parameters: queryParameters(SCHEMAS.customerListQuery),
+      responses: {
+        200: json('The count.', object({ count: { type: 'integer' } })),
+        ...errorResponses(422),
+      },
+    },
+  },
+  '/api/customers/export': {
+    get: {
+      tags: ['Customers'],
+      summary: 'Download the filtered customer list as a file',
+      parameters: queryParameters(EXPORT_QUERY_SCHEMA),
+      responses: {
+        200: {
+          description: 'The file, streamed.',
+          content: Object.fromEntries(Object.values(EXPORT_FORMATS).map(format => [
+            format.contentType.split(';')[0], { schema: { type: 'string', format: 'binary' } },
+          ])),
+        },
+        ...errorResponses(422),
+      },
+    },
+  },
+  '/api/customers/import': {
+    post: {
+      tags: ['Customers'],
+      summary: 'Bulk import customers with addresses',
+      description: `${adminOnly} Every row goes through the POST /api/customers rules. At most ${IMPORT_MAX_ROWS} rows.`,
+      parameters: [
+        { name: 'format', in: 'query', schema: { type: 'string', enum: ['csv', 'jsonl'] }, description: 'Overrides the Content-Type.' },
+        { name: 'dry_run', in: 'query', schema: { type: 'string', enum: ['true'] } },
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'text/csv': { schema: { type: 'string' } },
+          'application/x-ndjson': { schema: { type: 'string' } },
+        },
+      },
+      responses: {
+        200: json('What happened to each row.', object({
+          dry_run: { type: 'boolean' },
+          summary: object({
+            total: { type: 'integer' },
+            accepted: { type: 'integer' },
+            duplicate: { type: 'integer' },
+            invalid: { type: 'integer' },
+            customers_created: { type: 'integer' },
+          }),
+          rows: arrayOf(object({
+            row: { type: 'integer' },
+            status: { type: 'string', enum: ['accepted', 'duplicate', 'invalid'] },
+            new_customer: { type: 'boolean' },
+            customer_id: id,
+            address_id: id,
+            errors: ref('FieldErrors'),
+            warnings: ref('Warnings'),
+          }, ['row', 'status'])),
+        })),
+        400: json('The upload could not be read.', ref('Error')),
+        413: json('Too many rows.', ref('Error')),
+        415: json('Not CSV or JSON Lines.', ref('Error')),
+        ...errorResponses(403),
+      },
+    },
+  },
+  '/api/customers/duplicates': {
+    get: {
+      tags: ['Customers'],
+      summary: 'Groups of probable duplicate customers, newest first',
+      parameters: [limitParameter],
+      responses: {
+        200: json('Duplicate groups.', object({
+          data: arrayOf(object({
+            customers: arrayOf(object({
+              id,
+              first_name: { type: 'string' },
+              last_name: { type: 'string' },
+              phone_number: { type: 'string' },
+              phone_e164: { type: 'string' },
+              created_at: dateTime,
+            })),
+            matches: arrayOf(object({
+              customer_ids: arrayOf(id),
+              reasons: arrayOf({ type: 'string', enum: ['same_phone', 'shared_address', 'similar_name'] }),
+            })),
+          })),
+          total: { type: 'integer' },
+        })),
+        ...errorResponses(422),
+      },
+    },
+  },
+  '/api/customers/merge': {
+    post: {
+      tags: ['Customers'],
+      summary: 'Merge one customer into another',
+      description: adminOnly,
+      requestBody: jsonBody(SCHEMAS.merge),
+      responses: {
+        200: json('Merged.', object({
+          message: { type: 'string' },
+          target_id: id,
+          moved_address_ids: arrayOf(id),
+          removed_duplicate_address_ids: arrayOf(id),
+        })),
+        400: json("A customer can't be merged into itself.", ref('Error')),
+        ...errorResponses(403, 404, 409, 422),
+      },
+    },
+  },
+  '/api/customers/trash': {
+    get: {
+      tags: ['Trash'],
+      summary: 'Soft-deleted customers, most recently deleted first',
+      parameters: pageParameters(TRASH_SORT_KEYS),
+      responses: {
+        200: json('A page of deleted customers.', object({
+          data: arrayOf(ref('TrashedCustomer')),
+          next_cursor: nullable({ type: 'string' }),
+        })),
+        ...errorResponses(422),
+      },
+    },
+  },
+  '/api/customers/{id}': {
+    parameters: [customerId],
+    get: {
+      tags: ['Customers'],
+      summary: 'A customer with their addresses, default first',
+      responses: {
+        200: json('The customer.', object({ data: ref('CustomerWithAddresses') }), customerEtagHeader),
+        ...errorResponses(404, 422),
+      },
+    },
+    put: {
+      tags: ['Customers'],
+      summary: 'Update a customer, and add an address when its fields are given',
+      parameters: [ifMatchHeader],
+      requestBody: jsonBody(SCHEMAS.customerUpdate),
+      responses: {
+        200: json('Updated.', withWarnings({ message: { type: 'string' } }, ['message']), etagHeader),
+        ...errorResponses(403, 404, 409, 412, 422),
+      },
+    },
+    patch: {
+      tags: ['Customers'],
+      summary: 'Update only the given customer fields',
+      parameters: [ifMatchHeader],
+      requestBody: jsonBody(SCHEMAS.customerPatch),
+      responses: {
+        200: json('The updated customer.', object({ data: ref('Customer') }), etagHeader),
+        ...errorResponses(403, 404, 409, 412, 422),
+      },
+    },
+    delete: {
+      tags: ['Customers'],
+      summary: 'Move a customer and their addresses to the trash',
+      description: adminOnly,
+      parameters: [ifMatchHeader],
+      responses: {
+        200: json('Deleted.', message),
+        ...errorResponses(403, 404, 412, 422),
+      },
+    },
+  },
+  '/api/customers/{id}/restore': {
+    parameters: [customerId],
+    post: {
+      tags: ['Trash'],
+      summary: 'Restore a customer from the trash, with the addresses deleted alongside it',
+      responses: {
+        200: json('Restored.', object({ message: { type: 'string' }, data: ref('CustomerWithAddresses') })),
+        ...errorResponses(403, 404, 409, 422),
+      },
+    },
+  },
+  '/api/customers/{id}/purge': {
+    parameters: [customerId],
+    delete: {
+      tags: ['Trash'],
+      summary: 'Permanently delete a customer that is in the trash',
+      description: adminOnly,
+      responses: {
+        200: json('Deleted for good.', message),
+        ...errorResponses(403, 404, 422),
+      },
+    },
+  },
+  '/api/customers/{id}/history': {
+    parameters: [customerId],
+    get: {
+      tags: ['Customers'],
+      summary: 'Audit trail of the customer and their addresses, oldest first',
+      responses: {
+        200: json('The audit trail.', object({ data: arrayOf(ref('AuditEntry')) })),
+        ...errorResponses(404, 422),
+      },
+    },
+  },
+  '/api/customers/{id}/addresses': {
+    parameters: [customerId],
+    get: {
+      tags: ['Addresses'],
+      summary: "A customer's addresses, default first",
+      responses: {
+        200: json('The addresses.', object({ data: arrayOf(ref('Address')) })),
+        ...errorResponses(422),
+      },
+    },
+    post: {
+      tags: ['Addresses'],
+      summary: 'Add an address for a customer',
+      parameters: [idempotencyKeyHeader],
+      requestBody: jsonBody(SCHEMAS.newAddress),
+      responses: {
+        201: json('Added.', withWarnings({ message: { type: 'string' }, addressId: id }, ['message', 'addressId']), replayedHeader),
+        ...errorResponses(403, 404, 422),
+      },
+    },
+  },
+  '/api/customers/{id}/addresses/{addressId}/default': {
+    parameters: [customerId, pathParameter('addressId', 'Address id')],
+    post: {
+      tags: ['Addresses'],
+      summary: "Make an address the customer's default",
+      responses: {
+        200: json('The new default address.', object({ address: ref('Address') })),
+        ...errorResponses(403, 404, 422),
+      },
+    },
+  },
+  '/api/addresses': {
+    post: {
+      tags: ['Addresses'],
+      summary: 'Add an address, with the customer id in the body',
+      parameters: [idempotencyKeyHeader],
+      requestBody: jsonBody(SCHEMAS.newAddressWithCustomer),
+      responses: {
+        201: json('The new address.', withWarnings({ address: ref('Address') }, ['address']), replayedHeader),
+        ...errorResponses(403, 404, 422),
+      },
+    },
+  },
+  '/api/addresses/{id}': {
+    parameters: [addressId],
+    get: {
+      tags: ['Addresses'],
+      summary: 'An address',
+      responses: {
+        200: json('The address.', object({ data: ref('Address') }), etagHeader),
+        ...errorResponses(404, 422),
+      },
+    },
+    put: {
+      tags: ['Addresses'],
+      summary: 'Update an address (the type is kept when left out)',
+      parameters: [ifMatchHeader],
+      requestBody: jsonBody(SCHEMAS.addressUpdate),
+      responses: {
+        200: json('The updated address.', withWarnings({ address: ref('Address') }, ['address']), etagHeader),
+        ...errorResponses(403, 404, 412, 422),
+      },
+    },
+    patch: {
+      tags: ['Addresses'],
+      summary: 'Update only the given address fields',
+      parameters: [ifMatchHeader],
+      requestBody: jsonBody(SCHEMAS.addressPatch),
+      responses: {
+        200: json('The updated address.', withWarnings({ address: ref('Address') }, ['address']), etagHeader),
+        ...errorResponses(403, 404, 412, 422),
+      },
+    },
+    delete: {
+      tags: ['Addresses'],
+      summary: 'Soft-delete an address; deleting the default promotes the oldest remaining address',
+      parameters: [ifMatchHeader],
+      responses: {
+        200: json('Deleted.', object({ message: { type: 'string' }, default_address_id: id }, ['message'])),
+        409: json("A customer's only address can't be deleted.", ref('Error')),
+        ...errorResponses(403, 404, 412, 422),
+      },
+    },
+  },
+  '/api/pincodes/{pin}': {
+    get: {
+      tags: ['PIN Codes'],
+      summary: 'District(s) and state for a PIN code',
+      parameters: [{ name: 'pin', in: 'path', required: true, schema: fieldSchema(SCHEMAS.pinCodeParam.pin) }],
+      responses: {
+        200: json('Where the PIN code is.', object({
+          data: object({
+            pin_code: { type: 'string' },
+            places: arrayOf(object({ district: { type: 'string' }, state: { type: 'string' }, state_code: { type: 'string' } })),
+          }),
+        })),
+        ...errorResponses(404, 422),
+      },
+    },
+  },
+  '/api/events/customers': {
+    get: {
+      tags: ['Change Stream'],
+      summary: 'Customer and address changes as Server-Sent Events',
+      parameters: [
+        ...queryParameters(SCHEMAS.changeStreamQuery),
+        { name: 'Last-Event-ID', in: 'header', description: 'Resume after this event. The 100 events before it are sent again; skip the ids you already have.', schema: { type: 'string', pattern: '^\\d+$' } },
+      ],
+      responses: {
+        200: {
+          description: 'An endless event stream; each event has the webhook body as data.',
+          content: { 'text/event-stream': { schema: { type: 'string' } } },
+        },
+        ...errorResponses(422),
+      },
+    },
+  },
+  '/api/webhooks': {
+    get: {
+      tags: ['Webhooks'],
+      summary: 'Webhook subscriptions',
+      description: adminOnly,
+      responses: {
+        200: json('The subscriptions.', object({ data: arrayOf(ref('Webhook')) })),
+        ...errorResponses(403),
+      },
+    },
+    post: {
+      tags: ['Webhooks'],
+      summary: 'Subscribe a URL to events',
+      description: `${adminOnly} The signing secret is only returned here.`,
+      requestBody: jsonBody(SCHEMAS.newWebhook),
+      responses: {
+        201: json('The subscription, with its secret.', object({
+          data: { allOf: [ref('Webhook'), object({ secret: { type: 'string' } })] },
+        })),
+        ...errorResponses(403, 422),
+      },
+    },
+  },
+  '/api/webhooks/dead-letters': {
+    get: {
+      tags: ['Webhooks'],
+      summary: 'Deliveries that ran out of attempts, newest first',
+      description: adminOnly,
+      parameters: [...queryParameters(SCHEMAS.deadLetterQuery), limitParameter],
+      responses: {
+        200: json('Dead-lettered deliveries.', object({ data: arrayOf(ref('DeadLetter')) })),
+        ...errorResponses(403, 422),
+      },
+    },
+  },
+  '/api/webhooks/deliveries/{id}/retry': {
+    parameters: [pathParameter('id', 'Delivery id')],
+    post: {
+      tags: ['Webhooks'],
+      summary: 'Queue a dead-lettered delivery again, with fresh attempts',
+      description: adminOnly,
+      responses: {
+        200: json('Queued.', message),
+        ...errorResponses(403, 404, 422),
+      },
+    },
+  },
+  '/api/webhooks/{id}': {
+    parameters: [pathParameter('id', 'Subscription id')],
+    get: {
+      tags: ['Webhooks'],
+      summary: 'A subscription with its delivery counts',
+      description: adminOnly,
+      responses: {
+        200: json('The subscription.', object({
+          data: {
+            allOf: [ref('Webhook'), object({
+              deliveries: object({ pending: { type: 'integer' }, delivered: { type: 'integer' }, dead: { type: 'integer' } }),
+            })],
+          },
+        })),
+        ...errorResponses(403, 404, 422),
+      },
+    },
+    patch: {
+      tags: ['Webhooks'],
+      summary: "Change a subscription's url, event types, description or active flag",
+      description: adminOnly,
+      requestBody: jsonBody(SCHEMAS.webhookPatch),
+      responses: {
+        200: json('The updated subscription.', object({ data: ref('Webhook') })),
+        ...errorResponses(403, 404, 422),
+      },
+    },
+    delete: {
+      tags: ['Webhooks'],
+      summary: 'Unsubscribe, dropping undelivered deliveries',
+      description: adminOnly,
+      responses: {
+        200: json('Deleted.', message),
+        ...errorResponses(403, 404, 422),
+      },
+    },
+  },
+  '/graphql': {
+    post: {
+      tags: ['GraphQL'],
+      summary: 'GraphQL queries and mutations over customers and addresses',
+      description: 'The schema is in server/graphql.js. Errors come back in `errors` with `extensions.code`.',
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: object({
+              query: { type: 'string' },
+              variables: { type: 'object' },
+              operationName: { type: 'string' },
+            }, ['query']),
+          },
+        },
+      },
+      responses: {
+        200: json('The result.', {
+          type: 'object',
+          properties: { data: nullable({ type: 'object' }), errors: arrayOf({ type: 'object' }) },
+        }),
+        400: json('The request is not a valid GraphQL request.', {
+          type: 'object', properties: { errors: arrayOf({ type: 'object' }) },
+        }),
+        401: errors[401],
+        429: errors[429],
+      },
+    },
+    get: {
+      tags: ['GraphQL'],
+      summary: 'GraphQL queries (not mutations) in the query string',
+      parameters: [
+        { name: 'query', in: 'query', required: true, schema: { type: 'string' } },
+        { name: 'variables', in: 'query', description: 'JSON', schema: { type: 'string' } },
+      ],
+      responses: {
+        200: json('The result.', {
+          type: 'object',
+          properties: { data: nullable({ type: 'object' }), errors: arrayOf({ type: 'object' }) },
+        }),
+        401: errors[401],
+        429: errors[429],
+      },
+    },
+  },
+  '/healthz': {
+    get: {
+      tags: ['Operations'],
+      summary: 'Liveness: the process is up',
+      security: [],
+      responses: { 200: json('Alive.', object({ status: { type: 'string', enum: ['ok'] } })) },
+    },
+  },
+  '/readyz': {
+    get: {
+      tags: ['Operations'],
+      summary: 'Readiness: the database answers, migrations are applied and the server is not shutting down',
+      security: [],
+      responses: {
+        200: json('Ready.', ref('Readiness')),
+        503: json('Not ready; the failing checks are in `checks`.', ref('Readiness')),
+      },
+    },
+  },
+  '/metrics': {
+    get: {
+      tags: ['Operations'],
+      summary: 'Prometheus metrics',
+      description: 'Request counts and latencies by route and status, database pool usage and query durations. '
+        + 'Not behind API credentials; with METRICS_TOKEN set it needs `Authorization: Bearer <METRICS_TOKEN>`.',
+      security: [],
+      responses: {
+        200: { description: 'Metrics in the Prometheus text format.', content: { 'text/plain': { schema: { type: 'string' } } } },
+        401: json('METRICS_TOKEN is set and the request did not carry it.', ref('Error')),
+      },
+    },
+  },
+  '/api/openapi.json': {
+    get: {
+      tags: ['Documentation'],
+      summary: 'This document',
+      security: [],
+      responses: { 200: json('The OpenAPI document.', { type: 'object' }) },
+    },
+  },
+};
+
+// Any route taking a JSON body can answer 400 for malformed JSON and 413 for an oversized body
+for (const operations of Object.values(paths)) {
+  for (const operation of Object.values(operations)) {
+    if (operation.requestBody && operation.requestBody.content['application/json']) {
+      operation.responses = { ...operation.responses, 400: operation.responses[400] || errors[400], 413: errors[413] };
+    }
+  }
+}
+
+const document = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Qwoen API',
+    version: require('./package.json').version,
+    description: 'Customers and their addresses. Interactive docs at /api/docs.\n\n'
+      + 'Requests are rate limited per API key, token subject or IP, with separate budgets for reads, '
+      + 'writes and expensive routes (search, export, duplicates, import); responses carry RateLimit-* headers.',
+  },
+  servers: [{ url: '/' }],
+  security: [{ apiKey: [] }, { bearerAuth: [] }],
+  tags: ['Customers', 'Addresses', 'Trash', 'PIN Codes', 'Webhooks', 'Change Stream', 'GraphQL', 'Operations', 'Documentation']
+    .map(name => ({ name })),
+  paths,
+  components: {
+    securitySchemes: {
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'Configured in API_KEYS as name:role:key.' },
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'HS256, signed with JWT_SECRET, with sub and role claims.' },
+    },
+    schemas,
+    responses,
+  },
+};
+
+module.exports = document;
@@ -0,0 +1,48 @@
+// outbox.js — transactional outbox of customer and address events
+//
+// Every audited change (see audit.js) also writes an event to outbox_events, with the same
+// client and so in the same transaction: an event exists exactly when its change committed.
+// The webhook dispatcher (webhooks.js) delivers them from there.
+//
+// Event types are <entity>.<action>: customer.created, customer.updated, customer.deleted,
+// customer.restored, customer.purged, customer.merged, and the same for address (except merged).
+
+// Audit action → event action
+const EVENT_ACTIONS = {
+  create: 'created',
+  update: 'updated',
+  delete: 'deleted',
+  restore: 'restored',
+  purge: 'purged',
+  merge: 'merged',
+};
+
+const EVENT_TYPES = [
+  ...Object.values(EVENT_ACTIONS).map(action => `customer.${action}`),
+  ...Object.values(EVENT_ACTIONS).filter(action => action !== 'merged').map(action => `address.${action}`),
+];
+
+// What a webhook subscription can ask for: an event type, every event of one entity, or everything
+const EVENT_PATTERNS = ['*', 'customer.*', 'address.*', ...EVENT_TYPES];
+
+function matchesEventType(patterns, type) {
+  return patterns.some(pattern => pattern === '*' || pattern === type ||
+    (pattern.endsWith('.*') && type.startsWith(pattern.slice(0, -1))));
+}
+
+// An outbox row as delivered to webhooks and the change stream
+function eventBody(row) {
+  return { id: Number(row.id), type: row.event_type, created_at: row.created_at, ...row.payload };
+}
+
+// Writes the event for one audited change. `row` is the entity after the change (before it, for
+// deletes and purges) and `changes` the audit diff.
+async function enqueueEvent(client, { entityType, action, actor, row, changes }) {
+  const type = `${entityType}.${EVENT_ACTIONS[action]}`;
+  const customerId = entityType === 'customer' ? row.id : row.customer_id;
+  const payload = { entity_type: entityType, entity_id: row.id, customer_id: customerId, actor, data: row, changes };
+  const sql = "INSERT INTO outbox_events (event_type, customer_id, payload) VALUES ($1, $2, $3)";
+  await client.query(sql, [type, customerId, JSON.stringify(payload)]);
+}
+
+module.exports = { EVENT_TYPES, EVENT_PATTERNS, matchesEventType, eventBody, enqueueEvent };
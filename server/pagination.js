@@ -0,0 +1,160 @@
+// pagination.js — keyset (cursor) pagination helpers for list endpoints
+
+const { dialect } = require('./db');
+const { MAX_ID } = require('./validation');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// Sort keys accepted by GET /api/customers?sort=...
+// `columns` are the SQL expressions ordered on (c.id is always appended as the tie-breaker),
+// `cast` is applied to the cursor value when it's compared back in SQL.
+// `descending` keys default to descending order even when asked for explicitly.
+const SORT_KEYS = {
+  name: { columns: ['c.first_name', 'c.last_name'] },
+  phone: { columns: ['c.phone_e164'] },
+  address_count: { columns: ['COUNT(a.id)'], aggregate: true, cast: 'bigint' },
+  created_at: { columns: ['c.created_at'], cast: 'timestamptz' },
+  id: { columns: [], descending: true },
+};
+
+// Sort keys for GET /api/customers when searching (s.relevance comes from search.js)
+const SEARCH_SORT_KEYS = {
+  relevance: { columns: ['s.relevance'], cast: 'float8', descending: true },
+  ...SORT_KEYS,
+};
+
+// Sort keys for GET /api/customers/trash
+const TRASH_SORT_KEYS = {
+  deleted_at: { columns: ['c.deleted_at'], cast: 'timestamptz' },
+  id: { columns: [], descending: true },
+};
+
+class PaginationError extends Error {
+  constructor(message, field) {
+    super(message);
+    this.field = field;
+  }
+}
+
+function parseLimit(value) {
+  if (value === undefined || value === '') return DEFAULT_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new PaginationError(`Limit must be an integer between 1 and ${MAX_LIMIT}.`, 'limit');
+  }
+  return limit;
+}
+
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new PaginationError('Invalid cursor.', 'cursor');
+  }
+}
+
+// Checks on a decoded cursor value, by the cast it gets in keysetCondition(). Sort values come
+// from cursorSelect() as text; the id tie-breaker is the row's id.
+const CURSOR_VALUE_CHECKS = {
+  integer: value => Number.isInteger(value) && value >= 1 && value <= MAX_ID,
+  bigint: value => typeof value === 'string' && /^\d+$/.test(value),
+  float8: value => typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)),
+  timestamptz: value => typeof value === 'string' &&
+    /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}(:?\d{2})?)?$/.test(value),
+};
+
+function isValidCursorValue(value, cast) {
+  const check = CURSOR_VALUE_CHECKS[cast];
+  return check ? check(value) : typeof value === 'string';
+}
+
+// Reads limit/cursor/sort/order from the query string and returns everything
+// the list query needs to page through results. Without `sort`, results come in
+// `defaultSort` order, descending; an explicit sort defaults to ascending (except
+// `descending` keys such as id and relevance).
+function parsePageParams(query, { sortKeys = SORT_KEYS, defaultSort = 'id' } = {}) {
+  const sort = query.sort || defaultSort;
+  const sortKey = sortKeys[sort];
+  if (!sortKey) {
+    throw new PaginationError(`Sort must be one of: ${Object.keys(sortKeys).join(', ')}.`, 'sort');
+  }
+  const descendingByDefault = !query.sort || Boolean(sortKey.descending);
+  const order = (query.order || (descendingByDefault ? 'desc' : 'asc')).toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    throw new PaginationError('Order must be asc or desc.', 'order');
+  }
+  const limit = parseLimit(query.limit);
+
+  let after = null;
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor || cursor.sort !== sort || cursor.order !== order ||
+        !Array.isArray(cursor.values) || cursor.values.length !== sortKey.columns.length + 1) {
+      throw new PaginationError('Cursor does not match the requested sort order.', 'cursor');
+    }
+    const casts = [...sortKey.columns.map(() => sortKey.cast), 'integer'];
+    if (!cursor.values.every((value, i) => isValidCursorValue(value, casts[i]))) {
+      throw new PaginationError('Invalid cursor.', 'cursor');
+    }
+    after = cursor.values;
+  }
+
+  return { sort, order, limit, after, sortKey, includeTotal: query.include_total === 'true' };
+}
+
+// Builds the keyset condition `(cols..., c.id) > ($n, ...)` for the page after `after`.
+// Returns null when there's no cursor. Pushes the cursor values onto `params`.
+function keysetCondition(page, params) {
+  if (!page.after) return null;
+  const columns = [...page.sortKey.columns, 'c.id'];
+  const placeholders = page.after.map((value, i) => {
+    params.push(value);
+    const isIdColumn = i === columns.length - 1;
+    const cast = isIdColumn ? 'integer' : page.sortKey.cast;
+    return cast ? dialect.cast(`$${params.length}`, cast) : `$${params.length}`;
+  });
+  const op = page.order === 'asc' ? '>' : '<';
+  return `(${columns.join(', ')}) ${op} (${placeholders.join(', ')})`;
+}
+
+function orderByClause(page) {
+  const dir = page.order.toUpperCase();
+  return [...page.sortKey.columns, 'c.id'].map(col => `${col} ${dir}`).join(', ');
+}
+
+// SELECT list entries exposing the raw sort values, so the next cursor can be built
+// from the last row without losing precision (e.g. timestamp microseconds).
+function cursorSelect(page) {
+  return page.sortKey.columns.map((col, i) => `${dialect.cast(col, 'text')} AS cursor_${i}`);
+}
+
+// The list query fetches `limit + 1` rows; the extra row only tells us whether
+// another page exists. Returns the rows to send and the cursor for the next page.
+function takePage(page, rows) {
+  if (rows.length <= page.limit) return { rows, nextCursor: null };
+  const pageRows = rows.slice(0, page.limit);
+  const last = pageRows[pageRows.length - 1];
+  const values = page.sortKey.columns.map((col, i) => last[`cursor_${i}`]);
+  values.push(last.id);
+  return { rows: pageRows, nextCursor: encodeCursor({ sort: page.sort, order: page.order, values }) };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  SORT_KEYS,
+  SEARCH_SORT_KEYS,
+  TRASH_SORT_KEYS,
+  PaginationError,
+  parseLimit,
+  parsePageParams,
+  keysetCondition,
+  orderByClause,
+  cursorSelect,
+  takePage,
+};
@@ -0,0 +1,35 @@
+// phones.js — phone number parsing and E.164 normalization
+//
+// Customers keep phone_number as entered (for display) alongside phone_e164, the normalized
+// form used for duplicate checks, duplicate detection, sorting and search. Numbers without a
+// country code are read as PHONE_DEFAULT_COUNTRY (an ISO 3166 code, IN by default), so
+// "98765 43210", "098765-43210" and "+91 98765 43210" are all +919876543210.
+
+const { parsePhoneNumberFromString } = require('libphonenumber-js');
+// The full metadata knows each number type's lengths, which the default (min) metadata doesn't
+const { parsePhoneNumberFromString: parseWithFullMetadata } = require('libphonenumber-js/max');
+const { config } = require('./config');
+
+// Checked in config.js
+function defaultCountry() {
+  return config.phoneDefaultCountry;
+}
+
+// The E.164 form of a phone number (+919876543210), or null when it isn't a valid number
+function toE164(phoneNumber) {
+  if (!phoneNumber) return null;
+  const parsed = parsePhoneNumberFromString(String(phoneNumber), { defaultCountry: defaultCountry() });
+  return parsed && parsed.isValid() ? parsed.number : null;
+}
+
+// Whether `phoneNumber` is written out in full: with a + and country code, or as a number of one
+// of the default country's types (mobile, fixed line, ...) at that type's full length. "12345678"
+// is a valid Indian number by toE164() but only part of any real one.
+function isCompleteNumber(phoneNumber) {
+  if (!toE164(phoneNumber)) return false;
+  if (String(phoneNumber).trim().startsWith('+')) return true;
+  const parsed = parseWithFullMetadata(String(phoneNumber), { defaultCountry: defaultCountry() });
+  return Boolean(parsed && parsed.isValid());
+}
+
+module.exports = { defaultCountry, toE164, isCompleteNumber };
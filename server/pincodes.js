@@ -0,0 +1,130 @@
+// pincodes.js — offline directory of Indian PIN codes (PIN → district and state)
+//
+// The directory is data/pincodes.csv, built from the India Post directory published on
+// data.gov.in by scripts/build-pincodes.js. It's read into memory the first time it's used.
+//
+// Addresses are checked against it in PIN_CODE_CHECK mode:
+//   lenient (default) — save the address, but report a state that doesn't match the PIN as a warning
+//   strict            — reject the address (422) when the state doesn't match or the PIN isn't in the directory
+//   off               — don't check
+
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const { config, PIN_CODE_CHECK_MODES: CHECK_MODES } = require('./config');
+
+const DIRECTORY_FILE = path.join(__dirname, 'data', 'pincodes.csv');
+
+// States and union territories with their codes; aliases cover older and alternate names
+const STATES = [
+  { name: 'Andaman and Nicobar Islands', code: 'AN' },
+  { name: 'Andhra Pradesh', code: 'AP' },
+  { name: 'Arunachal Pradesh', code: 'AR' },
+  { name: 'Assam', code: 'AS' },
+  { name: 'Bihar', code: 'BR' },
+  { name: 'Chandigarh', code: 'CH' },
+  { name: 'Chhattisgarh', code: 'CG', aliases: ['CT', 'Chattisgarh'] },
+  {
+    name: 'Dadra and Nagar Haveli and Daman and Diu',
+    code: 'DH',
+    aliases: ['DN', 'DD', 'Dadra and Nagar Haveli', 'Daman and Diu'],
+  },
+  { name: 'Delhi', code: 'DL', aliases: ['New Delhi', 'NCT of Delhi'] },
+  { name: 'Goa', code: 'GA' },
+  { name: 'Gujarat', code: 'GJ' },
+  { name: 'Haryana', code: 'HR' },
+  { name: 'Himachal Pradesh', code: 'HP' },
+  { name: 'Jammu and Kashmir', code: 'JK' },
+  { name: 'Jharkhand', code: 'JH' },
+  { name: 'Karnataka', code: 'KA' },
+  { name: 'Kerala', code: 'KL' },
+  { name: 'Ladakh', code: 'LA' },
+  { name: 'Lakshadweep', code: 'LD' },
+  { name: 'Madhya Pradesh', code: 'MP' },
+  { name: 'Maharashtra', code: 'MH' },
+  { name: 'Manipur', code: 'MN' },
+  { name: 'Meghalaya', code: 'ML' },
+  { name: 'Mizoram', code: 'MZ' },
+  { name: 'Nagaland', code: 'NL' },
+  { name: 'Odisha', code: 'OD', aliases: ['OR', 'Orissa'] },
+  { name: 'Puducherry', code: 'PY', aliases: ['Pondicherry'] },
+  { name: 'Punjab', code: 'PB' },
+  { name: 'Rajasthan', code: 'RJ' },
+  { name: 'Sikkim', code: 'SK' },
+  { name: 'Tamil Nadu', code: 'TN' },
+  { name: 'Telangana', code: 'TG', aliases: ['TS'] },
+  { name: 'Tripura', code: 'TR' },
+  { name: 'Uttar Pradesh', code: 'UP' },
+  { name: 'Uttarakhand', code: 'UK', aliases: ['UT', 'Uttaranchal'] },
+  { name: 'West Bengal', code: 'WB' },
+];
+
+function stateKey(value) {
+  return String(value).toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+}
+
+// Any name, alias or code (any case, "&" or "and") → the STATES entry
+const STATE_LOOKUP = new Map();
+for (const state of STATES) {
+  for (const label of [state.name, state.code, ...(state.aliases || [])]) {
+    STATE_LOOKUP.set(stateKey(label), state);
+  }
+}
+
+// The STATES entry for a state name, alias or code, or null
+function findState(value) {
+  return STATE_LOOKUP.get(stateKey(value)) || null;
+}
+
+function checkMode() {
+  return config.pinCodeCheck;
+}
+
+let directory = null;
+
+// PIN code → [{ district, state, state_code }]
+function loadDirectory() {
+  if (!directory) {
+    const rows = parse(fs.readFileSync(DIRECTORY_FILE), { columns: true, skip_empty_lines: true });
+    directory = new Map();
+    for (const row of rows) {
+      if (!directory.has(row.pin_code)) directory.set(row.pin_code, []);
+      directory.get(row.pin_code).push({ district: row.district, state: row.state, state_code: findState(row.state).code });
+    }
+  }
+  return directory;
+}
+
+// The places a PIN code covers (most cover one district), or null when it isn't in the directory
+function lookupPinCode(pinCode) {
+  return loadDirectory().get(String(pinCode)) || null;
+}
+
+// Problems with an address's state and PIN code under the current PIN_CODE_CHECK mode.
+// Returns { errors, warnings }, both [{ field, error|warning }], and both empty when the
+// address is fine, has no PIN code to check, or checking is off.
+function checkAddressPinCode({ pin_code: pinCode, state }) {
+  const result = { errors: [], warnings: [] };
+  const mode = checkMode();
+  if (mode === 'off' || !pinCode) {
+    return result;
+  }
+  const report = (field, message) => {
+    if (mode === 'strict') result.errors.push({ field, error: message });
+    else result.warnings.push({ field, warning: message });
+  };
+
+  const places = lookupPinCode(pinCode);
+  if (!places) {
+    report('pin_code', `PIN code ${pinCode} isn't in the PIN code directory.`);
+    return result;
+  }
+  const given = findState(state);
+  if (!given || !places.some(place => place.state_code === given.code)) {
+    const states = [...new Set(places.map(place => place.state))].join(' or ');
+    report('state', `PIN code ${pinCode} is in ${states}, not ${state}.`);
+  }
+  return result;
+}
+
+module.exports = { CHECK_MODES, STATES, findState, checkMode, lookupPinCode, checkAddressPinCode };
@@ -0,0 +1,68 @@
+// scripts/build-pincodes.js — rebuilds data/pincodes.csv from the India Post PIN code directory
+//
+// Usage: node scripts/build-pincodes.js <directory.csv|directory.json>
+//
+// The source is the "All India Pincode Directory" from data.gov.in, as CSV or as a JSON array
+// of rows; only the pincode, district name and state name columns are used (any case).
+// Older copies of the directory predate Telangana, Ladakh and the merged Dadra and Nagar Haveli
+// and Daman and Diu; those rows are moved to their current state here.
+
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const { findState } = require('../pincodes');
+
+const OUTPUT_FILE = path.join(__dirname, '..', 'data', 'pincodes.csv');
+
+// Districts (as spelled in the directory) that now belong to a different state
+const MOVED_DISTRICTS = {
+  'Andhra Pradesh': {
+    state: 'Telangana',
+    districts: ['Adilabad', 'Hyderabad', 'Karim Nagar', 'Khammam', 'K.V.Rangareddy', 'Mahabub Nagar', 'Medak', 'Nalgonda', 'Nizamabad', 'Warangal'],
+  },
+  'Jammu and Kashmir': { state: 'Ladakh', districts: ['Kargil', 'Leh'] },
+};
+
+function readSource(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const rows = file.endsWith('.json') ? JSON.parse(text) : parse(text, { columns: true, bom: true, skip_empty_lines: true });
+  return rows.map(row => {
+    const fields = Object.fromEntries(Object.entries(row).map(([key, value]) => [key.toLowerCase(), String(value).trim()]));
+    return { pinCode: fields.pincode, district: fields.districtname, state: fields.statename };
+  });
+}
+
+function csvCell(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+const source = process.argv[2];
+if (!source) {
+  console.error('Usage: node scripts/build-pincodes.js <directory.csv|directory.json>');
+  process.exit(1);
+}
+
+const places = new Map();
+const unknownStates = new Set();
+for (const { pinCode, district, state: stateName } of readSource(source)) {
+  if (!/^\d{6}$/.test(pinCode) || !district) continue;
+  const state = findState(stateName);
+  if (!state) {
+    unknownStates.add(stateName);
+    continue;
+  }
+  const moved = MOVED_DISTRICTS[state.name];
+  const current = moved && moved.districts.includes(district) ? moved.state : state.name;
+  places.set(`${pinCode}|${district}|${current}`, [pinCode, district, current]);
+}
+if (unknownStates.size > 0) {
+  console.error(`Unknown states, rows skipped: ${[...unknownStates].join(', ')}`);
+  process.exit(1);
+}
+
+const lines = [...places.values()]
+  .sort((a, b) => a.join('|').localeCompare(b.join('|')))
+  .map(row => row.map(csvCell).join(','));
+fs.mkdirSync(path.dirname(OUTPUT_FILE), { recursive: true });
+fs.writeFileSync(OUTPUT_FILE, ['pin_code,district,state', ...lines].join('\n') + '\n');
+console.log(`Wrote ${lines.length} places to ${path.relative(process.cwd(), OUTPUT_FILE)}`);
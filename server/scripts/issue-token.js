@@ -0,0 +1,18 @@
+// scripts/issue-token.js — prints a JWT for the customer API
+//
+// Usage: node scripts/issue-token.js <subject> <viewer|editor|admin> [expiresIn, default 12h]
+
+const { signToken, ROLES } = require('../middleware/auth');
+
+const [sub, role, expiresIn] = process.argv.slice(2);
+if (!sub || !ROLES.includes(role)) {
+  console.error(`Usage: node scripts/issue-token.js <subject> <${ROLES.join('|')}> [expiresIn]`);
+  process.exit(1);
+}
+
+try {
+  console.log(signToken(sub, role, expiresIn));
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
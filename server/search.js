@@ -0,0 +1,164 @@
+// search.js — customer search shared by GET /api/customers, /api/customers/search,
+// /api/customers/count, /api/customers/export and GraphQL, with the q and addressCount list filters
+//
+// The search term is split into words and every word has to match somewhere in the customer's
+// name, phone number or live addresses; different words can match different fields
+// ("ramesh chennai"). Matching customers come with a relevance score. A term that is a whole
+// phone number ("098765 43210", "+91-98765-43210") is compared exactly with phone_e164, so it finds
+// the customer however the number was written when it was saved, and no one with a similar number.
+// A term that parses as a number but could be part of a longer one ("12345678") also matches the
+// phone numbers containing its digits, ranked below an exact match.
+//
+// PostgreSQL searches the customer_search table (see migrations/postgres/004_customer_search):
+// a word matches as a full-text prefix, as a substring, or fuzzily through pg_trgm, so typos
+// like "Ramsh" still find "Ramesh". MySQL falls back to substring matches without typo tolerance.
+
+const { dialect } = require('./db');
+const { toE164, isCompleteNumber } = require('./phones');
+
+const MAX_WORDS = 8;
+
+// { e164, digits, complete } for a search term that parses as a phone number, otherwise null.
+// `digits` are the ones typed, without a leading trunk 0; `complete` is false for a term that may
+// be part of a longer number.
+function searchPhone(term) {
+  if (!term || typeof term !== 'string' || !/^[\d\s()+.-]+$/.test(term)) return null;
+  const e164 = toE164(term);
+  if (!e164) return null;
+  return { e164, digits: term.replace(/\D/g, '').replace(/^0+/, ''), complete: isCompleteNumber(term) };
+}
+
+// Lower-cased words of the search term with punctuation stripped (it has meaning in tsquery and LIKE)
+function searchWords(term) {
+  if (!term || typeof term !== 'string') return [];
+  return term
+    .toLowerCase()
+    .split(/\s+/)
+    .map(word => word.replace(/[^\p{L}\p{N}]/gu, ''))
+    .filter(Boolean)
+    .slice(0, MAX_WORDS);
+}
+
+const STRATEGIES = {
+  postgres: {
+    // Fuzzy matches come from pg_trgm's word_similarity, using pg_trgm.word_similarity_threshold,
+    // which migration 012 lowers to 0.4 for the database. The operator forms keep every branch indexed.
+    match: p => `(cs.search_vector @@ to_tsquery('simple', ${p} || ':*')
+       OR cs.document ILIKE '%' || ${p} || '%'
+       OR ${p} <% cs.document)`,
+    // float8, so relevance survives the round trip through a pagination cursor exactly
+    score: p => `(ts_rank(cs.search_vector, to_tsquery('simple', ${p} || ':*'))::float8 + word_similarity(${p}, cs.document)::float8)`,
+    from: 'customer_search cs',
+    idColumn: 'cs.customer_id',
+  },
+  mysql: {
+    // A word that starts a name/phone field scores highest, then any match on the customer, then an address match
+    match: p => `(CONCAT_WS(' ', sc.first_name, sc.last_name, sc.phone_number, sc.phone_e164) LIKE CONCAT('%', ${p}, '%')
+       OR EXISTS (
+         SELECT 1 FROM addresses sa
+         WHERE sa.customer_id = sc.id AND sa.deleted_at IS NULL
+           AND CONCAT_WS(' ', sa.address_details, sa.city, sa.state, sa.pin_code) LIKE CONCAT('%', ${p}, '%')
+       ))`,
+    score: p => `(CASE
+         WHEN sc.first_name LIKE CONCAT(${p}, '%') OR sc.last_name LIKE CONCAT(${p}, '%') OR sc.phone_number LIKE CONCAT(${p}, '%')
+           OR sc.phone_e164 LIKE CONCAT('+', ${p}, '%') THEN 1
+         WHEN CONCAT_WS(' ', sc.first_name, sc.last_name, sc.phone_number, sc.phone_e164) LIKE CONCAT('%', ${p}, '%') THEN 0.75
+         ELSE 0.5
+       END)`,
+    from: 'customers sc',
+    idColumn: 'sc.id',
+  },
+};
+
+// SQL for a derived table (customer_id, relevance) of the customers matching `term`, with its
+// parameters pushed onto `params`; null when the term has no words. Every parameter pushed
+// is referenced in the WHERE clause, so callers can reuse `params` for count queries.
+function customerSearch(term, params) {
+  const phone = searchPhone(term);
+  if (phone) {
+    params.push(phone.e164);
+    const exact = `pc.phone_e164 = $${params.length}`;
+    if (phone.complete) {
+      return `
+    SELECT pc.id AS customer_id, ${dialect.cast('1', 'float8')} AS relevance
+    FROM customers pc
+    WHERE ${exact}
+  `;
+    }
+    params.push(`%${phone.digits}%`);
+    return `
+    SELECT pc.id AS customer_id, ${dialect.cast(`CASE WHEN ${exact} THEN 1 ELSE 0.5 END`, 'float8')} AS relevance
+    FROM customers pc
+    WHERE ${exact} OR pc.phone_e164 LIKE $${params.length}
+  `;
+  }
+
+  const words = searchWords(term);
+  if (words.length === 0) return null;
+
+  const strategy = STRATEGIES[dialect.name];
+  const placeholders = words.map(word => {
+    params.push(word);
+    return `$${params.length}`;
+  });
+  const relevance = `(${placeholders.map(strategy.score).join(' + ')}) / ${words.length}`;
+  return `
+    SELECT ${strategy.idColumn} AS customer_id, ${relevance} AS relevance
+    FROM ${strategy.from}
+    WHERE ${placeholders.map(strategy.match).join('\n      AND ')}
+  `;
+}
+
+// Relevance as sent to clients
+function roundRelevance(value) {
+  return Math.round(Number(value) * 10000) / 10000;
+}
+
+// FROM clause the customer list routes filter and group over
+const CUSTOMER_LIST_FROM = `
+      FROM customers c
+      LEFT JOIN addresses a ON c.id = a.customer_id AND a.deleted_at IS NULL
+    `;
+
+// The q and addressCount filters for the customer list routes: the FROM clause (CUSTOMER_LIST_FROM,
+// joined to the search matches as s when searching), WHERE and HAVING conditions, GROUP BY columns,
+// and `relevance`, the search relevance column (null without a search)
+function customerListFilters({ q: searchTerm, addressCount }) {
+  const params = [];
+  const search = customerSearch(searchTerm, params);
+  let fromClause = CUSTOMER_LIST_FROM;
+  const groupBy = ['c.id'];
+  if (search) {
+    fromClause += `  JOIN (${search}) s ON s.customer_id = c.id\n`;
+    groupBy.push('s.relevance');
+  }
+  const conditions = ["c.deleted_at IS NULL"];
+  const havingConditions = [];
+  if (addressCount === "single") {
+    havingConditions.push("COUNT(a.id) = 1");
+  } else if (addressCount === "multiple") {
+    havingConditions.push("COUNT(a.id) > 1");
+  }
+  return { fromClause, conditions, havingConditions, groupBy, params, relevance: search ? 's.relevance' : null };
+}
+
+// SELECT of the ids of the customers matching customerListFilters()
+function filteredCustomerIds({ fromClause, conditions, havingConditions, groupBy }) {
+  return `
+    SELECT c.id
+    ${fromClause}
+    WHERE ${conditions.join(" AND ")}
+    GROUP BY ${groupBy.join(", ")}
+    ${havingConditions.length > 0 ? "HAVING " + havingConditions.join(" AND ") : ""}
+  `;
+}
+
+module.exports = {
+  MAX_WORDS,
+  searchPhone,
+  searchWords,
+  customerSearch,
+  roundRelevance,
+  customerListFilters,
+  filteredCustomerIds,
+};
@@ -0,0 +1,71 @@
+// shutdown.js — graceful shutdown on SIGTERM and SIGINT
+//
+// On the first signal /readyz starts failing, the server stops accepting connections, open change
+// streams are ended (clients reconnect elsewhere with Last-Event-ID) and the webhook dispatcher
+// finishes its current round. In-flight requests get SHUTDOWN_TIMEOUT_MS (default 10000) to finish,
+// committing or rolling back their transactions and returning their pooled connections; whatever is
+// still running then has its connection cut. Finally the database pool is closed and the process
+// exits, with status 1 if the deadline was missed. A second signal exits at once.
+
+const { logger } = require('./logger');
+const { config } = require('./config');
+const { markShuttingDown } = require('./health');
+
+const TIMEOUT_MS = config.shutdownTimeoutMs;
+
+// Resolves true when `promise` settles within `ms`, false otherwise
+function settlesWithin(promise, ms) {
+  let timer;
+  const deadline = new Promise(resolve => {
+    timer = setTimeout(() => resolve(false), ms);
+  });
+  return Promise.race([promise.then(() => true), deadline]).finally(() => clearTimeout(timer));
+}
+
+async function shutdown(server, { db, changeFeed, dispatcher }) {
+  markShuttingDown();
+  const closed = new Promise(resolve => server.close(resolve));
+  server.closeIdleConnections();
+  changeFeed.closeStreams();
+  const dispatcherStopped = dispatcher ? dispatcher.stop() : Promise.resolve();
+
+  let clean = await settlesWithin(closed, TIMEOUT_MS);
+  if (!clean) {
+    logger.warn('requests still running at the shutdown deadline; closing their connections');
+    server.closeAllConnections();
+  }
+  await dispatcherStopped;
+  // Clients still checked out by cut-off requests are released once their queries return
+  if (!(await settlesWithin(db.end(), TIMEOUT_MS))) {
+    logger.warn('database connections still in use; exiting without closing them');
+    clean = false;
+  }
+  return clean;
+}
+
+// Shuts `server` down on SIGTERM/SIGINT, along with the app's `db` and `changeFeed` (app.locals)
+// and `dispatcher`, the result of startDispatcher(), if running
+function handleShutdown(server, { db, changeFeed, dispatcher = null }) {
+  let stopping = false;
+  const onSignal = signal => {
+    if (stopping) {
+      logger.warn('second signal; exiting now', { signal });
+      process.exit(1);
+    }
+    stopping = true;
+    logger.info('shutting down', { signal, timeout_ms: TIMEOUT_MS });
+    shutdown(server, { db, changeFeed, dispatcher })
+      .then(clean => {
+        logger.info('shutdown complete', { clean });
+        process.exit(clean ? 0 : 1);
+      })
+      .catch(err => {
+        logger.error('shutdown failed', { err });
+        process.exit(1);
+      });
+  };
+  process.on('SIGTERM', onSignal);
+  process.on('SIGINT', onSignal);
+}
+
+module.exports = { handleShutdown };
@@ -0,0 +1,392 @@
+// Contract tests: every route is called against a real database and each response is checked
+// against openapi.js (status documented, body matching its schema). They also fail when a route
+// in app.js is missing from the document, or a documented operation isn't exercised here.
+//
+// Like the integration tests, they need a throwaway PostgreSQL database in TEST_DATABASE_URL,
+// which they migrate, and are skipped without one (see support/testDatabase.js). The whole suite
+// runs in one transaction that is rolled back afterwards (see support/transactionalDb.js), so
+// nothing it creates is kept.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { useTestDatabase } = require('./support/testDatabase');
+
+process.env.NODE_ENV = 'test';
+const skip = useTestDatabase();
+const ADMIN_KEY = crypto.randomBytes(16).toString('hex');
+const VIEWER_KEY = crypto.randomBytes(16).toString('hex');
+// Used only by the rate limit test, so its budgets start fresh
+const LIMITED_KEY = crypto.randomBytes(16).toString('hex');
+process.env.API_KEYS = `contract-admin:admin:${ADMIN_KEY},contract-viewer:viewer:${VIEWER_KEY},contract-limited:viewer:${LIMITED_KEY}`;
+// Room for every test's requests, and a small expensive budget to run out of
+const EXPENSIVE_LIMIT = 20;
+process.env.RATE_LIMIT = 'on';
+process.env.RATE_LIMIT_READ = '10000';
+process.env.RATE_LIMIT_WRITE = '10000';
+process.env.RATE_LIMIT_EXPENSIVE = String(EXPENSIVE_LIMIT);
+process.env.JSON_BODY_LIMIT = '100kb';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const db = require('../db');
+const { createApp } = require('../app');
+const { migrateUp } = require('../migrate');
+const spec = require('../openapi');
+const { transactionalDb, beginTest, endTest } = require('./support/transactionalDb');
+
+const ajv = new Ajv({ strict: false, allErrors: true });
+addFormats(ajv);
+ajv.addSchema(spec, 'openapi');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const exercised = new Set();
+let client;
+let app;
+let server;
+let baseUrl;
+
+// JSON pointer into the OpenAPI document, as a $ref
+function pointer(...segments) {
+  return 'openapi#/' + segments
+    .map(segment => encodeURIComponent(String(segment).replace(/~/g, '~0').replace(/\//g, '~1')))
+    .join('/');
+}
+
+// Calls `method` `path` (an OpenAPI path, with `params` filled in) and checks the response against the document
+async function call(method, path, { params = {}, query, body, headers = {}, key = ADMIN_KEY, raw = false } = {}) {
+  let url = path.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(params[name]));
+  if (query) url += `?${new URLSearchParams(query)}`;
+  const requestHeaders = { ...headers };
+  if (key) requestHeaders['X-API-Key'] = key;
+  if (body !== undefined && !raw) requestHeaders['Content-Type'] = 'application/json';
+  const response = await fetch(baseUrl + url, {
+    method: method.toUpperCase(),
+    headers: requestHeaders,
+    body: body === undefined ? undefined : raw ? body : JSON.stringify(body),
+  });
+
+  const operation = spec.paths[path]?.[method];
+  assert.ok(operation, `${method.toUpperCase()} ${path} is not in the OpenAPI document`);
+  exercised.add(`${method} ${path}`);
+
+  let responseSpec = operation.responses[response.status];
+  assert.ok(responseSpec, `${method.toUpperCase()} ${path} answered ${response.status}, which isn't documented`);
+  let specPointer = ['paths', path, method, 'responses', response.status];
+  if (responseSpec.$ref) {
+    const name = responseSpec.$ref.split('/').pop();
+    responseSpec = spec.components.responses[name];
+    specPointer = ['components', 'responses', name];
+  }
+
+  const contentType = (response.headers.get('Content-Type') || '').split(';')[0];
+  assert.ok(responseSpec.content[contentType], `${method.toUpperCase()} ${path} ${response.status} sent ${contentType}, which isn't documented`);
+  if (contentType !== 'application/json') {
+    await response.body?.cancel();
+    return { status: response.status, headers: response.headers };
+  }
+
+  const json = await response.json();
+  const validate = ajv.getSchema(pointer(...specPointer, 'content', contentType, 'schema')) ||
+    ajv.compile({ $ref: pointer(...specPointer, 'content', contentType, 'schema') });
+  assert.ok(validate(json), `${method.toUpperCase()} ${path} ${response.status} doesn't match the document: ` +
+    `${ajv.errorsText(validate.errors)}\n${JSON.stringify(json, null, 2)}`);
+  return { status: response.status, headers: response.headers, body: json };
+}
+
+function randomPhone() {
+  return `9${crypto.randomInt(100000000, 999999999)}`;
+}
+
+function newCustomer(overrides = {}) {
+  return {
+    first_name: 'Contract',
+    last_name: `Test ${crypto.randomBytes(4).toString('hex')}`,
+    phone_number: randomPhone(),
+    address_type: 'home',
+    address_details: '12 MG Road',
+    city: 'Pune',
+    state: 'Maharashtra',
+    pin_code: '411001',
+    ...overrides,
+  };
+}
+
+async function createCustomer(overrides) {
+  const { status, body } = await call('post', '/api/customers', { body: newCustomer(overrides) });
+  assert.equal(status, 201);
+  return body.customerId;
+}
+
+describe('API contract', { skip }, () => {
+  before(async () => {
+    assert.equal(db.dialect.name, 'postgres', 'TEST_DATABASE_URL must be a PostgreSQL database');
+    await migrateUp();
+    client = await db.getClient();
+    await beginTest(client);
+    app = createApp({ db: transactionalDb(client, db.dialect) });
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await app.locals.changeFeed.closeStreams();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await endTest(client);
+    await db.end();
+  });
+
+  test('every route in app.js is documented', () => {
+    const missing = [];
+    for (const layer of app.router.stack) {
+      if (!layer.route) continue;
+      const path = layer.route.path.replace(/:(\w+)/g, '{$1}');
+      // _all is route-level middleware (authenticate on /graphql), not an endpoint
+      for (const method of Object.keys(layer.route.methods).filter(method => method !== 'head' && method !== '_all')) {
+        if (!spec.paths[path]?.[method]) missing.push(`${method.toUpperCase()} ${path}`);
+      }
+    }
+    assert.deepEqual(missing, []);
+  });
+
+  test('authentication and roles', async () => {
+    assert.equal((await call('get', '/api/customers', { key: null })).status, 401);
+    assert.equal((await call('get', '/api/customers', { key: 'wrong' })).status, 401);
+    assert.equal((await call('post', '/api/customers', { key: VIEWER_KEY, body: newCustomer() })).status, 403);
+    assert.equal((await call('get', '/api/webhooks', { key: VIEWER_KEY })).status, 403);
+    assert.equal((await call('get', '/api/openapi.json', { key: null })).status, 200);
+  });
+
+  test('customers', async () => {
+    const id = await createCustomer();
+    const bad = await call('post', '/api/customers', { body: { first_name: '', pin_code: '12' } });
+    assert.equal(bad.status, 422);
+
+    const fetched = await call('get', '/api/customers/{id}', { params: { id } });
+    assert.equal(fetched.status, 200);
+    assert.ok(fetched.headers.get('ETag').startsWith(`"${fetched.body.data.version}.`));
+    const customer = fetched.body.data;
+
+    const duplicate = await call('post', '/api/customers', {
+      body: newCustomer({ first_name: customer.first_name, last_name: customer.last_name, phone_number: customer.phone_number }),
+    });
+    assert.equal(duplicate.status, 409);
+
+    const retried = { body: newCustomer(), headers: { 'Idempotency-Key': crypto.randomUUID() } };
+    const first = await call('post', '/api/customers', retried);
+    const replayed = await call('post', '/api/customers', retried);
+    assert.equal(replayed.status, 201);
+    assert.equal(replayed.headers.get('Idempotent-Replayed'), 'true');
+    assert.equal(replayed.body.customerId, first.body.customerId);
+    const reused = await call('post', '/api/customers', { ...retried, body: newCustomer() });
+    assert.equal(reused.status, 422);
+
+    const stale = await call('put', '/api/customers/{id}', {
+      params: { id },
+      headers: { 'If-Match': '"0"' },
+      body: { first_name: 'Contract', last_name: customer.last_name, phone_number: customer.phone_number },
+    });
+    assert.equal(stale.status, 412);
+    const updated = await call('put', '/api/customers/{id}', {
+      params: { id },
+      headers: { 'If-Match': fetched.headers.get('ETag') },
+      body: { first_name: 'Contracted', last_name: customer.last_name, phone_number: customer.phone_number },
+    });
+    assert.equal(updated.status, 200);
+    assert.equal((await call('patch', '/api/customers/{id}', { params: { id }, body: { first_name: 'Contract' } })).status, 200);
+    assert.equal((await call('patch', '/api/customers/{id}', { params: { id }, body: {} })).status, 422);
+    assert.equal((await call('get', '/api/customers/{id}', { params: { id: 2147483647 } })).status, 404);
+    assert.equal((await call('get', '/api/customers/{id}', { params: { id: 'abc' } })).status, 422);
+    assert.equal((await call('get', '/api/customers/{id}', { params: { id: 99999999999 } })).status, 422);
+
+    const list = await call('get', '/api/customers', { query: { q: customer.last_name, include_total: 'true', limit: 1 } });
+    assert.equal(list.status, 200);
+    assert.equal(list.body.data[0].id, id);
+    assert.equal((await call('get', '/api/customers', { query: { sort: 'nope' } })).status, 422);
+    assert.equal((await call('get', '/api/customers', { query: { sort: 'name', order: 'asc', addressCount: 'single' } })).status, 200);
+    assert.equal((await call('get', '/api/customers/search', { query: { q: customer.last_name } })).status, 200);
+    const count = await call('get', '/api/customers/count', { query: { q: customer.last_name } });
+    assert.equal(count.body.count, 1);
+    assert.equal((await call('get', '/api/customers/{id}/history', { params: { id } })).status, 200);
+    assert.equal((await call('get', '/api/customers/duplicates', { query: { limit: 5 } })).status, 200);
+    assert.equal((await call('get', '/api/customers/duplicates', { query: { limit: 'many' } })).status, 422);
+
+    const exported = await call('get', '/api/customers/export', { query: { q: customer.last_name, format: 'jsonl' } });
+    assert.equal(exported.status, 200);
+  });
+
+  test('addresses', async () => {
+    const id = await createCustomer();
+    const added = await call('post', '/api/customers/{id}/addresses', {
+      params: { id },
+      body: { address_details: '4 Park Street', city: 'Pune', state: 'Kerala', pin_code: '411001' },
+    });
+    assert.equal(added.status, 201);
+    const other = await call('post', '/api/addresses', {
+      body: { customer_id: id, address_details: '5 Park Street', city: 'Pune', state: 'Maharashtra', pin_code: '411001' },
+    });
+    assert.equal(other.status, 201);
+    assert.equal((await call('post', '/api/addresses', { body: { customer_id: 2147483647, ...newCustomer() } })).status, 404);
+
+    const addresses = await call('get', '/api/customers/{id}/addresses', { params: { id } });
+    assert.equal(addresses.body.data.length, 3);
+    const addressId = added.body.addressId;
+    const fetched = await call('get', '/api/addresses/{id}', { params: { id: addressId } });
+    assert.equal(fetched.status, 200);
+
+    assert.equal((await call('put', '/api/addresses/{id}', {
+      params: { id: addressId },
+      body: { address_details: '4 Park Street', city: 'Pune', state: 'Maharashtra', pin_code: '411001' },
+    })).status, 200);
+    assert.equal((await call('patch', '/api/addresses/{id}', {
+      params: { id: addressId },
+      headers: { 'If-Match': fetched.headers.get('ETag') },
+      body: { city: 'Mumbai' },
+    })).status, 412);
+    assert.equal((await call('patch', '/api/addresses/{id}', { params: { id: addressId }, body: { address_type: 'billing' } })).status, 200);
+    assert.equal((await call('post', '/api/customers/{id}/addresses/{addressId}/default', {
+      params: { id, addressId },
+    })).status, 200);
+
+    const deleted = await call('delete', '/api/addresses/{id}', { params: { id: addressId } });
+    assert.equal(deleted.status, 200);
+    assert.equal(typeof deleted.body.default_address_id, 'number');
+    assert.equal((await call('delete', '/api/addresses/{id}', { params: { id: addressId } })).status, 404);
+  });
+
+  test('trash, restore, merge and purge', async () => {
+    const id = await createCustomer();
+    assert.equal((await call('delete', '/api/customers/{id}', { params: { id }, key: VIEWER_KEY })).status, 403);
+    assert.equal((await call('delete', '/api/customers/{id}', { params: { id } })).status, 200);
+    assert.equal((await call('get', '/api/customers/trash', { query: { limit: 5 } })).status, 200);
+    assert.equal((await call('get', '/api/customers/trash', { query: { limit: 'many', order: 'sideways' } })).status, 422);
+    assert.equal((await call('post', '/api/customers/{id}/restore', { params: { id } })).status, 200);
+    assert.equal((await call('post', '/api/customers/{id}/restore', { params: { id } })).status, 404);
+
+    const source = await createCustomer();
+    const merged = await call('post', '/api/customers/merge', { body: { source_id: source, target_id: id } });
+    assert.equal(merged.status, 200);
+    assert.equal((await call('post', '/api/customers/{id}/restore', { params: { id: source } })).status, 409);
+    assert.equal((await call('post', '/api/customers/merge', { body: { source_id: id, target_id: id } })).status, 400);
+    assert.equal((await call('delete', '/api/customers/{id}/purge', { params: { id: source } })).status, 200);
+    assert.equal((await call('delete', '/api/customers/{id}/purge', { params: { id: source } })).status, 404);
+  });
+
+  test('import', async () => {
+    const csv = 'first_name,last_name,phone_number,address_details,city,state,pin_code\n' +
+      `Contract,Import,${randomPhone()},1 Ring Road,Pune,Maharashtra,411001\n` +
+      'Contract,Import,12,1 Ring Road,Pune,Maharashtra,411001\n';
+    const imported = await call('post', '/api/customers/import', {
+      query: { dry_run: 'true' },
+      headers: { 'Content-Type': 'text/csv' },
+      body: csv,
+      raw: true,
+    });
+    assert.equal(imported.status, 200);
+    assert.deepEqual(imported.body.rows.map(row => row.status), ['accepted', 'invalid']);
+    assert.equal((await call('post', '/api/customers/import', { headers: { 'Content-Type': 'text/plain' }, body: 'x', raw: true })).status, 415);
+  });
+
+  test('PIN codes', async () => {
+    assert.equal((await call('get', '/api/pincodes/{pin}', { params: { pin: '411001' } })).status, 200);
+    assert.equal((await call('get', '/api/pincodes/{pin}', { params: { pin: '000000' } })).status, 404);
+    assert.equal((await call('get', '/api/pincodes/{pin}', { params: { pin: '12' } })).status, 422);
+  });
+
+  test('change stream', async () => {
+    assert.equal((await call('get', '/api/events/customers', { headers: { 'Last-Event-ID': 'x' } })).status, 422);
+    const stream = await call('get', '/api/events/customers', { query: { customer_id: 1 } });
+    assert.equal(stream.status, 200);
+  });
+
+  test('webhooks', async () => {
+    const createdHook = await call('post', '/api/webhooks', { body: { url: 'https://example.com/hooks', event_types: ['customer.*'] } });
+    assert.equal(createdHook.status, 201);
+    assert.match(createdHook.body.data.secret, /^whsec_/);
+    const id = createdHook.body.data.id;
+    assert.equal((await call('post', '/api/webhooks', { body: { url: 'ftp://example.com' } })).status, 422);
+    assert.equal((await call('get', '/api/webhooks')).status, 200);
+    assert.equal((await call('get', '/api/webhooks/{id}', { params: { id } })).status, 200);
+    assert.equal((await call('patch', '/api/webhooks/{id}', { params: { id }, body: { active: false } })).status, 200);
+    assert.equal((await call('get', '/api/webhooks/dead-letters', { query: { subscription_id: id } })).status, 200);
+    assert.equal((await call('post', '/api/webhooks/deliveries/{id}/retry', { params: { id: 2147483647 } })).status, 404);
+    assert.equal((await call('delete', '/api/webhooks/{id}', { params: { id } })).status, 200);
+    assert.equal((await call('get', '/api/webhooks/{id}', { params: { id } })).status, 404);
+  });
+
+  test('GraphQL', async () => {
+    const query = '{ customers(limit: 2) { data { id addresses { id } } next_cursor } }';
+    const posted = await call('post', '/graphql', { body: { query } });
+    assert.equal(posted.status, 200);
+    assert.ok(posted.body.data.customers);
+    assert.equal((await call('get', '/graphql', { query: { query } })).status, 200);
+    const syntaxError = await call('post', '/graphql', { body: { query: '{' } });
+    assert.equal(syntaxError.body.errors.length, 1);
+    assert.equal((await call('post', '/graphql', { body: {} })).status, 400);
+    assert.equal((await call('post', '/graphql', { body: { query }, key: null })).status, 401);
+  });
+
+  test('rate limits and request bodies', async () => {
+    const search = () => call('get', '/api/customers/search', { query: { q: 'Contract' }, key: LIMITED_KEY });
+    const first = await search();
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('RateLimit-Limit'), String(EXPENSIVE_LIMIT));
+    assert.equal(first.headers.get('RateLimit-Remaining'), String(EXPENSIVE_LIMIT - 1));
+    assert.match(first.headers.get('RateLimit-Policy'), new RegExp(`^${EXPENSIVE_LIMIT};w=\\d+$`));
+    for (let i = 1; i < EXPENSIVE_LIMIT; i++) {
+      assert.equal((await search()).status, 200);
+    }
+    const limited = await search();
+    assert.equal(limited.status, 429);
+    assert.match(limited.body.error, /^Too many requests/);
+    assert.ok(Number(limited.headers.get('Retry-After')) > 0);
+    assert.equal(limited.headers.get('RateLimit-Remaining'), '0');
+    // GraphQL searches and a trailing slash draw on the same budget
+    const graphqlSearch = await call('post', '/graphql', {
+      body: { query: '{ customers(q: "Contract") { data { id } } }' },
+      key: LIMITED_KEY,
+    });
+    assert.equal(graphqlSearch.status, 429);
+    const trailingSlash = await fetch(`${baseUrl}/api/customers/search/?q=Contract`, { headers: { 'X-API-Key': LIMITED_KEY } });
+    assert.equal(trailingSlash.status, 429);
+    await trailingSlash.body?.cancel();
+    // Other budgets are unaffected
+    assert.equal((await call('get', '/api/customers', { key: LIMITED_KEY })).status, 200);
+    assert.equal((await call('post', '/graphql', { body: { query: '{ customers(limit: 1) { data { id } } }' }, key: LIMITED_KEY })).status, 200);
+
+    const tooLarge = await call('post', '/api/customers', { body: newCustomer({ address_details: 'x'.repeat(200 * 1024) }) });
+    assert.equal(tooLarge.status, 413);
+    const malformed = await call('post', '/api/customers', { headers: { 'Content-Type': 'application/json' }, body: '{"first_name":', raw: true });
+    assert.equal(malformed.status, 400);
+  });
+
+  test('request ids and metrics', async () => {
+    const echoed = await call('get', '/api/customers/count', { headers: { 'X-Request-Id': 'contract-test.1' } });
+    assert.equal(echoed.headers.get('X-Request-Id'), 'contract-test.1');
+    const generated = await call('get', '/api/customers/count', { headers: { 'X-Request-Id': 'not a valid id' } });
+    assert.match(generated.headers.get('X-Request-Id'), /^[0-9a-f-]{36}$/);
+
+    const metrics = await fetch(`${baseUrl}/metrics`).then(response => response.text());
+    assert.match(metrics, /http_requests_total\{method="GET",route="\/api\/customers\/count",status="200"\} \d+/);
+    assert.match(metrics, /db_query_duration_seconds_count\{operation="select",outcome="ok"\} \d+/);
+    assert.match(metrics, /db_pool_connections\{state="idle"\} \d+/);
+    assert.equal((await call('get', '/metrics', { key: null })).status, 200);
+  });
+
+  test('health probes', async () => {
+    assert.deepEqual((await call('get', '/healthz', { key: null })).body, { status: 'ok' });
+    const ready = await call('get', '/readyz', { key: null });
+    assert.equal(ready.status, 200, JSON.stringify(ready.body));
+    assert.deepEqual(ready.body.checks.migrations, { status: 'ok', pending: [] });
+  });
+
+  test('every documented operation is exercised', () => {
+    const missing = Object.entries(spec.paths).flatMap(([path, item]) => METHODS
+      .filter(method => item[method] && !exercised.has(`${method} ${path}`))
+      .map(method => `${method.toUpperCase()} ${path}`));
+    assert.deepEqual(missing, []);
+  });
+});
@@ -0,0 +1,578 @@
+// Integration tests: every customer and address route against a real PostgreSQL database, checking
+// what the API answers and what ends up in the database. Each test runs in a transaction that is
+// rolled back afterwards (see support/transactionalDb.js) and creates its own fixtures
+// (support/fixtures.js), so tests start from an empty database and can run in any order.
+//
+// They need a throwaway database, which they migrate and must find empty:
+//
+//   createdb customers_test
+//   TEST_DATABASE_URL=postgres://postgres@localhost:5432/customers_test npm test
+//
+// Without TEST_DATABASE_URL they're skipped, except on CI (see support/testDatabase.js).
+
+const { describe, test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { useTestDatabase } = require('./support/testDatabase');
+
+const ADMIN_KEY = crypto.randomBytes(16).toString('hex');
+const EDITOR_KEY = crypto.randomBytes(16).toString('hex');
+const VIEWER_KEY = crypto.randomBytes(16).toString('hex');
+process.env.NODE_ENV = 'test';
+const skip = useTestDatabase();
+process.env.API_KEYS = `it-admin:admin:${ADMIN_KEY},it-editor:editor:${EDITOR_KEY},it-viewer:viewer:${VIEWER_KEY}`;
+process.env.RATE_LIMIT = 'off';
+
+const db = require('../db');
+const { createApp } = require('../app');
+const { migrateUp } = require('../migrate');
+const { transactionalDb, beginTest, endTest } = require('./support/transactionalDb');
+const { CUSTOMERS, ADDRESS, createCustomers } = require('./support/fixtures');
+
+describe('customer and address routes', { skip }, () => {
+  let client;
+  let app;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    assert.equal(db.dialect.name, 'postgres', 'TEST_DATABASE_URL must be a PostgreSQL database');
+    await migrateUp();
+    const { rows } = await db.query('SELECT COUNT(*) AS total FROM customers');
+    assert.equal(Number(rows[0].total), 0, 'TEST_DATABASE_URL must be a throwaway database with no customers');
+  });
+
+  after(() => db.end());
+
+  beforeEach(async () => {
+    client = await db.getClient();
+    await beginTest(client);
+    app = createApp({ db: transactionalDb(client, db.dialect) });
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await app.locals.changeFeed.closeStreams();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await endTest(client);
+  });
+
+  // Calls the API as `key` (admin by default). JSON bodies are parsed; anything else comes back as text.
+  async function api(method, path, { query, body, raw, headers = {}, key = ADMIN_KEY } = {}) {
+    const url = baseUrl + path + (query ? `?${new URLSearchParams(query)}` : '');
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'X-API-Key': key,
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...headers,
+      },
+      body: raw ?? (body === undefined ? undefined : JSON.stringify(body)),
+    });
+    const type = response.headers.get('Content-Type') || '';
+    const content = type.startsWith('application/json') ? await response.json() : await response.text();
+    return { status: response.status, headers: response.headers, body: content };
+  }
+
+  async function getCustomer(id) {
+    const { status, body } = await api('GET', `/api/customers/${id}`);
+    assert.equal(status, 200);
+    return body.data;
+  }
+
+  async function rowCount(sql, params) {
+    return Number((await client.query(sql, params)).rows[0].total);
+  }
+
+  describe('customers', () => {
+    test('POST /api/customers creates the customer with a default address', async () => {
+      const { status, body } = await api('POST', '/api/customers', { body: CUSTOMERS.asha });
+      assert.equal(status, 201);
+      const customer = await getCustomer(body.customerId);
+      assert.equal(customer.first_name, 'Asha');
+      assert.equal(customer.phone_e164, '+919876543210');
+      assert.equal(customer.version, 1);
+      assert.equal(customer.addresses.length, 1);
+      assert.equal(customer.addresses[0].is_default, true);
+      assert.equal(customer.addresses[0].address_type, 'home');
+    });
+
+    test('POST /api/customers rejects invalid, duplicate and viewer requests', async () => {
+      const invalid = await api('POST', '/api/customers', { body: { ...CUSTOMERS.asha, pin_code: '12' } });
+      assert.equal(invalid.status, 422);
+      assert.ok(invalid.body.errors.some(error => error.field === 'pin_code'));
+
+      await createCustomers(api, 'asha');
+      // The same phone number written differently is still a duplicate
+      const duplicate = await api('POST', '/api/customers', { body: { ...CUSTOMERS.asha, phone_number: '+91 98765 43210' } });
+      assert.equal(duplicate.status, 409);
+
+      assert.equal((await api('POST', '/api/customers', { body: CUSTOMERS.ravi, key: VIEWER_KEY })).status, 403);
+      assert.equal((await api('POST', '/api/customers', { body: CUSTOMERS.ravi, key: 'wrong' })).status, 401);
+      assert.equal(await rowCount('SELECT COUNT(*) AS total FROM customers'), 1);
+    });
+
+    test('GET /api/customers/:id', async () => {
+      const { asha } = await createCustomers(api, 'asha');
+      const found = await api('GET', `/api/customers/${asha}`, { key: VIEWER_KEY });
+      assert.equal(found.status, 200);
+      assert.match(found.headers.get('ETag'), /^"1\.[0-9a-f]{16}"$/);
+      assert.equal((await api('GET', '/api/customers/999999')).status, 404);
+      assert.equal((await api('GET', '/api/customers/abc')).status, 422);
+    });
+
+    test('GET /api/customers/:id is only 304 while the customer and its addresses are unchanged', async () => {
+      const { asha } = await createCustomers(api, 'asha');
+      const etag = (await api('GET', `/api/customers/${asha}`)).headers.get('ETag');
+      assert.equal((await api('GET', `/api/customers/${asha}`, { headers: { 'If-None-Match': etag } })).status, 304);
+
+      assert.equal((await api('POST', `/api/customers/${asha}/addresses`, { body: ADDRESS })).status, 201);
+      const changed = await api('GET', `/api/customers/${asha}`, { headers: { 'If-None-Match': etag } });
+      assert.equal(changed.status, 200);
+      assert.equal(changed.body.data.addresses.length, 2);
+      assert.notEqual(changed.headers.get('ETag'), etag);
+
+      // The customer row itself didn't change, so the old ETag still works for If-Match
+      const updated = await api('PATCH', `/api/customers/${asha}`, { headers: { 'If-Match': etag }, body: { first_name: 'Aasha' } });
+      assert.equal(updated.status, 200);
+    });
+
+    test('GET /api/customers filters, sorts and pages', async () => {
+      const { asha, ravi, meena } = await createCustomers(api, 'asha', 'ravi', 'meena');
+      await api('POST', `/api/customers/${asha}/addresses`, { body: ADDRESS });
+
+      const all = await api('GET', '/api/customers', { query: { include_total: 'true' } });
+      assert.equal(all.status, 200);
+      assert.equal(all.body.total, 3);
+
+      const byName = await api('GET', '/api/customers', { query: { sort: 'name', order: 'asc' } });
+      assert.deepEqual(byName.body.data.map(customer => customer.id), [asha, meena, ravi]);
+
+      const multiple = await api('GET', '/api/customers', { query: { addressCount: 'multiple' } });
+      assert.deepEqual(multiple.body.data.map(customer => customer.id), [asha]);
+      assert.equal(multiple.body.data[0].address_count, 2);
+      const single = await api('GET', '/api/customers', { query: { addressCount: 'single' } });
+      assert.equal(single.body.data.length, 2);
+
+      const searched = await api('GET', '/api/customers', { query: { q: 'Kumar' } });
+      assert.deepEqual(searched.body.data.map(customer => customer.id), [ravi]);
+      assert.equal(typeof searched.body.data[0].relevance, 'number');
+
+      const first = await api('GET', '/api/customers', { query: { sort: 'id', order: 'asc', limit: 2 } });
+      assert.deepEqual(first.body.data.map(customer => customer.id), [asha, ravi]);
+      assert.ok(first.body.next_cursor);
+      const second = await api('GET', '/api/customers', { query: { sort: 'id', order: 'asc', limit: 2, cursor: first.body.next_cursor } });
+      assert.deepEqual(second.body.data.map(customer => customer.id), [meena]);
+      assert.equal(second.body.next_cursor, null);
+
+      assert.equal((await api('GET', '/api/customers', { query: { sort: 'nope' } })).status, 422);
+      const tampered = Buffer.from(JSON.stringify({ sort: 'id', order: 'desc', values: ['abc'] })).toString('base64url');
+      const badCursor = await api('GET', '/api/customers', { query: { cursor: tampered } });
+      assert.equal(badCursor.status, 422);
+      assert.equal(badCursor.body.errors[0].field, 'cursor');
+    });
+
+    test('GET /api/customers/search and /api/customers/count', async () => {
+      const { asha, ravi } = await createCustomers(api, 'asha', 'ravi', 'meena');
+      const search = await api('GET', '/api/customers/search', { query: { q: 'Bangalore' } });
+      assert.equal(search.status, 200);
+      assert.deepEqual(search.body.data.map(customer => customer.id), [ravi]);
+      const everyone = await api('GET', '/api/customers/search');
+      assert.equal(everyone.body.data.length, 3);
+      const limited = await api('GET', '/api/customers/search', { query: { limit: 2 } });
+      assert.equal(limited.body.data.length, 2);
+      assert.equal((await api('GET', '/api/customers/search', { query: { limit: 1000 } })).status, 422);
+
+      assert.deepEqual((await api('GET', '/api/customers/count')).body, { count: 3 });
+      assert.deepEqual((await api('GET', '/api/customers/count', { query: { q: 'Verma' } })).body, { count: 1 });
+      await api('DELETE', `/api/customers/${asha}`);
+      assert.deepEqual((await api('GET', '/api/customers/count')).body, { count: 2 });
+    });
+
+    test('search tolerates typos', async () => {
+      await createCustomers(api, 'asha', 'meena');
+      const created = await api('POST', '/api/customers', { body: { ...CUSTOMERS.ravi, first_name: 'Ramesh' } });
+      assert.equal(created.status, 201);
+      const search = await api('GET', '/api/customers/search', { query: { q: 'Ramsh' } });
+      assert.deepEqual(search.body.data.map(customer => customer.id), [created.body.customerId]);
+    });
+
+    test('search matches whole phone numbers exactly', async () => {
+      const { asha } = await createCustomers(api, 'asha');
+      const similar = await api('POST', '/api/customers', { body: { ...CUSTOMERS.ravi, phone_number: '9876543219' } });
+      assert.equal(similar.status, 201);
+      const search = await api('GET', '/api/customers/search', { query: { q: '+91 98765 43210' } });
+      assert.deepEqual(search.body.data.map(customer => customer.id), [asha]);
+      const list = await api('GET', '/api/customers', { query: { q: '098765-43210' } });
+      assert.deepEqual(list.body.data.map(customer => customer.id), [asha]);
+    });
+
+    test('search finds phone numbers from part of them', async () => {
+      const { asha, ravi } = await createCustomers(api, 'asha', 'ravi');
+      // 12345678 parses as a number of its own but is part of Ravi's 9123456780
+      const search = await api('GET', '/api/customers/search', { query: { q: '12345678' } });
+      assert.deepEqual(search.body.data.map(customer => customer.id), [ravi]);
+      assert.equal(search.body.data[0].relevance, 0.5);
+      // Too short to parse as a number: matched as text
+      const partial = await api('GET', '/api/customers/search', { query: { q: '98765432' } });
+      assert.deepEqual(partial.body.data.map(customer => customer.id), [asha]);
+    });
+
+    test('PUT /api/customers/:id updates the customer and can add an address', async () => {
+      const { asha } = await createCustomers(api, 'asha');
+      const { first_name, last_name, phone_number } = CUSTOMERS.asha;
+
+      const stale = await api('PUT', `/api/customers/${asha}`, {
+        headers: { 'If-Match': '"7"' },
+        body: { first_name: 'Aasha', last_name, phone_number },
+      });
+      assert.equal(stale.status, 412);
+
+      const updated = await api('PUT', `/api/customers/${asha}`, {
+        headers: { 'If-Match': '"1"' },
+        body: { first_name: 'Aasha', last_name, phone_number, ...ADDRESS },
+      });
+      assert.equal(updated.status, 200);
+      const customer = await getCustomer(asha);
+      assert.equal(customer.first_name, 'Aasha');
+      assert.equal(customer.version, 2);
+      assert.equal(customer.addresses.length, 2);
+
+      assert.equal((await api('PUT', '/api/customers/999999', { body: { first_name, last_name, phone_number } })).status, 404);
+    });
+
+    test('PATCH /api/customers/:id changes only the given fields', async () => {
+      const { asha, ravi } = await createCustomers(api, 'asha', 'ravi');
+      const patched = await api('PATCH', `/api/customers/${asha}`, { body: { last_name: 'Sharma' }, key: EDITOR_KEY });
+      assert.equal(patched.status, 200);
+      assert.equal(patched.body.data.last_name, 'Sharma');
+      assert.equal(patched.body.data.first_name, 'Asha');
+      assert.equal(patched.body.data.version, 2);
+
+      assert.equal((await api('PATCH', `/api/customers/${asha}`, { body: {} })).status, 422);
+      // Ravi can't take Asha's name and phone number
+      const clash = await api('PATCH', `/api/customers/${ravi}`, {
+        body: { first_name: 'Asha', last_name: 'Sharma', phone_number: CUSTOMERS.asha.phone_number },
+      });
+      assert.equal(clash.status, 409);
+    });
+
+    test('DELETE /api/customers/:id moves the customer and their addresses to the trash', async () => {
+      const { asha } = await createCustomers(api, 'asha');
+      assert.equal((await api('DELETE', `/api/customers/${asha}`, { key: EDITOR_KEY })).status, 403);
+      assert.equal((await api('DELETE', `/api/customers/${asha}`)).status, 200);
+      assert.equal((await api('GET', `/api/customers/${asha}`)).status, 404);
+      assert.equal((await api('DELETE', `/api/customers/${asha}`)).status, 404);
+      assert.equal(await rowCount('SELECT COUNT(*) AS total FROM addresses WHERE customer_id = $1 AND deleted_at IS NOT NULL', [asha]), 1);
+    });
+
+    test('GET /api/customers/trash, POST /api/customers/:id/restore and DELETE /api/customers/:id/purge', async () => {
+      const { asha, ravi } = await createCustomers(api, 'asha', 'ravi', 'meena');
+      // An address deleted earlier stays deleted when Asha is restored
+      const added = await api('POST', `/api/customers/${asha}/addresses`, { body: ADDRESS });
+      await api('DELETE', `/api/addresses/${added.body.addressId}`);
+      await api('DELETE', `/api/customers/${asha}`);
+      await api('DELETE', `/api/customers/${ravi}`);
+
+      const trash = await api('GET', '/api/customers/trash', { query: { sort: 'id', order: 'asc' } });
+      assert.equal(trash.status, 200);
+      assert.deepEqual(trash.body.data.map(customer => customer.id), [asha, ravi]);
+      assert.equal(trash.body.data[0].addresses.length, 1);
+
+      const restored = await api('POST', `/api/customers/${asha}/restore`);
+      assert.equal(restored.status, 200);
+      assert.equal(restored.body.data.addresses.length, 1);
+      assert.equal((await getCustomer(asha)).addresses.length, 1);
+      assert.equal((await api('POST', `/api/customers/${asha}/restore`)).status, 404);
+
+      assert.equal((await api('DELETE', `/api/customers/${asha}/purge`)).status, 404);
+      assert.equal((await api('DELETE', `/api/customers/${ravi}/purge`)).status, 200);
+      assert.equal(await rowCount('SELECT COUNT(*) AS total FROM customers WHERE id = $1', [ravi]), 0);
+      assert.equal(await rowCount('SELECT COUNT(*) AS total FROM addresses WHERE customer_id = $1', [ravi]), 0);
+    });
+
+    test('GET /api/customers/duplicates and POST /api/customers/merge', async () => {
+      const { asha } = await createCustomers(api, 'asha');
+      // Same phone, a similar name and the same address
+      const copy = await api('POST', '/api/customers', { body: { ...CUSTOMERS.asha, first_name: 'Aasha' } });
+      const source = copy.body.customerId;
+      await api('POST', `/api/customers/${source}/addresses`, { body: ADDRESS });
+
+      const duplicates = await api('GET', '/api/customers/duplicates');
+      assert.equal(duplicates.status, 200);
+      assert.equal(duplicates.body.total, 1);
+
+      assert.equal((await api('POST', '/api/customers/merge', { body: { source_id: asha, target_id: asha } })).status, 400);
+      const merged = await api('POST', '/api/customers/merge', { body: { source_id: source, target_id: asha } });
+      assert.equal(merged.status, 200);
+      assert.equal(merged.body.moved_address_ids.length, 1);
+      assert.equal(merged.body.removed_duplicate_address_ids.length, 1);
+      assert.equal((await getCustomer(asha)).addresses.length, 2);
+      assert.equal((await api('GET', `/api/customers/${source}`)).status, 404);
+      assert.equal((await api('POST', `/api/customers/${source}/restore`)).status, 409);
+      assert.equal((await api('GET', '/api/customers/duplicates')).body.total, 0);
+    });
+
+    test('GET /api/customers/:id/history', async () => {
+      const { asha } = await createCustomers(api, 'asha');
+      await api('PATCH', `/api/customers/${asha}`, { body: { last_name: 'Sharma' } });
+      const added = await api('POST', `/api/customers/${asha}/addresses`, { body: ADDRESS });
+      await api('DELETE', `/api/addresses/${added.body.addressId}`);
+
+      const history = await api('GET', `/api/customers/${asha}/history`);
+      assert.equal(history.status, 200);
+      assert.deepEqual(history.body.data.map(entry => `${entry.entity_type} ${entry.action}`), [
+        'customer create',
+        'address create',
+        'customer update',
+        'address create',
+        'address delete',
+      ]);
+      assert.equal(history.body.data[2].actor, 'it-admin');
+      assert.equal(history.body.data[2].after.last_name, 'Sharma');
+      assert.equal((await api('GET', '/api/customers/999999/history')).status, 404);
+    });
+
+    test('GET /api/customers/export', async () => {
+      const { asha } = await createCustomers(api, 'asha', 'ravi');
+      await api('POST', `/api/customers/${asha}/addresses`, { body: ADDRESS });
+
+      const csv = await api('GET', '/api/customers/export', { query: { layout: 'address' } });
+      assert.equal(csv.status, 200);
+      assert.match(csv.headers.get('Content-Disposition'), /^attachment; filename="customers-[\d-]+\.csv"$/);
+      // A header line and one line per address
+      assert.equal(csv.body.trim().split('\n').length, 4);
+
+      const jsonl = await api('GET', '/api/customers/export', { query: { format: 'jsonl', q: 'Verma' } });
+      const rows = jsonl.body.trim().split('\n').map(line => JSON.parse(line));
+      assert.equal(rows.length, 1);
+      assert.equal(rows[0].id, asha);
+      assert.equal(rows[0].addresses.length, 2);
+    });
+
+    test('POST /api/customers/import', async () => {
+      const csv = [
+        'first_name,last_name,phone_number,address_details,city,state,pin_code',
+        'Kiran,Rao,9000000001,1 Station Road,Pune,Maharashtra,411001',
+        'Kiran,Rao,9000000001,2 Station Road,Pune,Maharashtra,411001',
+        'Sunil,Das,not a phone,3 Station Road,Pune,Maharashtra,411001',
+      ].join('\n');
+      const options = { raw: csv, headers: { 'Content-Type': 'text/csv' } };
+
+      const dryRun = await api('POST', '/api/customers/import', { ...options, query: { dry_run: 'true' } });
+      assert.equal(dryRun.status, 200);
+      assert.equal(dryRun.body.dry_run, true);
+      assert.equal(await rowCount('SELECT COUNT(*) AS total FROM customers'), 0);
+
+      const imported = await api('POST', '/api/customers/import', options);
+      assert.equal(imported.status, 200);
+      assert.equal(imported.body.rows.filter(row => row.status === 'invalid').length, 1);
+      assert.equal(await rowCount('SELECT COUNT(*) AS total FROM customers'), 1);
+      assert.equal(await rowCount('SELECT COUNT(*) AS total FROM addresses'), 2);
+
+      assert.equal((await api('POST', '/api/customers/import', { ...options, key: EDITOR_KEY })).status, 403);
+      assert.equal((await api('POST', '/api/customers/import', { raw: 'x', headers: { 'Content-Type': 'text/plain' } })).status, 415);
+    });
+
+    test('POST /api/customers/import?format=jsonl takes JSON Lines sent as application/json', async () => {
+      const jsonl = [
+        { first_name: 'Kiran', last_name: 'Rao', phone_number: '9000000001', address_details: '1 Station Road', city: 'Pune', state: 'Maharashtra', pin_code: '411001' },
+        { first_name: 'Sunil', last_name: 'Das', phone_number: '9000000002', address_details: '3 Station Road', city: 'Pune', state: 'Maharashtra', pin_code: '411001' },
+      ].map(row => JSON.stringify(row)).join('\n');
+      const imported = await api('POST', '/api/customers/import', {
+        query: { format: 'jsonl' },
+        raw: jsonl,
+        headers: { 'Content-Type': 'application/json' },
+      });
+      assert.equal(imported.status, 200);
+      assert.equal(imported.body.summary.accepted, 2);
+      assert.equal(await rowCount('SELECT COUNT(*) AS total FROM customers'), 2);
+    });
+
+    test('GET /api/events/customers replays changes after Last-Event-ID', async () => {
+      const { asha } = await createCustomers(api, 'asha', 'ravi');
+      await api('PATCH', `/api/customers/${asha}`, { body: { last_name: 'Sharma' } });
+
+      const controller = new AbortController();
+      const response = await fetch(`${baseUrl}/api/events/customers?customer_id=${asha}`, {
+        headers: { 'X-API-Key': VIEWER_KEY, 'Last-Event-ID': '0' },
+        signal: controller.signal,
+      });
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('Content-Type'), /^text\/event-stream/);
+
+      const events = [];
+      const decoder = new TextDecoder();
+      let buffered = '';
+      for await (const chunk of response.body) {
+        buffered += decoder.decode(chunk, { stream: true });
+        const messages = buffered.split('\n\n');
+        buffered = messages.pop();
+        events.push(...messages.filter(message => message.startsWith('id: ')).map(message => JSON.parse(message.split('data: ')[1])));
+        if (events.length >= 3) break;
+      }
+      controller.abort();
+      assert.deepEqual(events.map(event => event.type), ['customer.created', 'address.created', 'customer.updated']);
+      // Only Asha's
+      assert.ok(events.every(event => event.customer_id === asha));
+    });
+  });
+
+  describe('addresses', () => {
+    test('POST /api/customers/:id/addresses and POST /api/addresses', async () => {
+      const { asha } = await createCustomers(api, 'asha');
+      const added = await api('POST', `/api/customers/${asha}/addresses`, { body: ADDRESS });
+      assert.equal(added.status, 201);
+      const other = await api('POST', '/api/addresses', { body: { customer_id: asha, ...ADDRESS, address_type: 'shipping', is_default: true } });
+      assert.equal(other.status, 201);
+      assert.equal(other.body.address.is_default, true);
+
+      const addresses = await api('GET', `/api/customers/${asha}/addresses`);
+      assert.equal(addresses.status, 200);
+      assert.equal(addresses.body.data.length, 3);
+      // The default comes first, and there's only one
+      assert.equal(addresses.body.data[0].id, other.body.address.id);
+      assert.equal(addresses.body.data.filter(address => address.is_default).length, 1);
+
+      assert.equal((await api('POST', '/api/customers/999999/addresses', { body: ADDRESS })).status, 404);
+      assert.equal((await api('POST', '/api/addresses', { body: { customer_id: 999999, ...ADDRESS } })).status, 404);
+      assert.equal((await api('POST', `/api/customers/${asha}/addresses`, { body: { ...ADDRESS, pin_code: 'abc' } })).status, 422);
+    });
+
+    test('GET /api/addresses/:id', async () => {
+      const { asha } = await createCustomers(api, 'asha');
+      const [address] = (await getCustomer(asha)).addresses;
+      const found = await api('GET', `/api/addresses/${address.id}`, { key: VIEWER_KEY });
+      assert.equal(found.status, 200);
+      assert.equal(found.body.data.customer_id, asha);
+      assert.equal((await api('GET', '/api/addresses/999999')).status, 404);
+    });
+
+    test('PUT and PATCH /api/addresses/:id', async () => {
+      const { asha } = await createCustomers(api, 'asha');
+      const [address] = (await getCustomer(asha)).addresses;
+      const { address_type, ...fields } = ADDRESS;
+
+      const put = await api('PUT', `/api/addresses/${address.id}`, { body: fields });
+      assert.equal(put.status, 200);
+      assert.equal(put.body.address.address_details, '44 FC Road');
+      // Not sent, so kept
+      assert.equal(put.body.address.address_type, 'home');
+
+      const stale = await api('PATCH', `/api/addresses/${address.id}`, { headers: { 'If-Match': '"1"' }, body: { city: 'Mumbai' } });
+      assert.equal(stale.status, 412);
+      const patched = await api('PATCH', `/api/addresses/${address.id}`, { headers: { 'If-Match': '"2"' }, body: { address_type } });
+      assert.equal(patched.status, 200);
+      assert.equal(patched.body.address.address_type, 'billing');
+      assert.equal(patched.body.address.city, 'Pune');
+
+      assert.equal((await api('PUT', '/api/addresses/999999', { body: fields })).status, 404);
+      assert.equal((await api('PATCH', `/api/addresses/${address.id}`, { body: {} })).status, 422);
+    });
+
+    test('POST /api/customers/:id/addresses/:addressId/default', async () => {
+      const { asha, ravi } = await createCustomers(api, 'asha', 'ravi');
+      const [first] = (await getCustomer(asha)).addresses;
+      const added = await api('POST', `/api/customers/${asha}/addresses`, { body: ADDRESS });
+
+      const moved = await api('POST', `/api/customers/${asha}/addresses/${added.body.addressId}/default`);
+      assert.equal(moved.status, 200);
+      assert.equal(moved.body.address.is_default, true);
+      const addresses = (await getCustomer(asha)).addresses;
+      assert.deepEqual(addresses.map(address => [address.id, address.is_default]), [[added.body.addressId, true], [first.id, false]]);
+
+      // Ravi's default can't be set to Asha's address
+      assert.equal((await api('POST', `/api/customers/${ravi}/addresses/${first.id}/default`)).status, 404);
+    });
+
+    test('DELETE /api/addresses/:id moves the default to the oldest remaining address', async () => {
+      const { asha } = await createCustomers(api, 'asha');
+      const [first] = (await getCustomer(asha)).addresses;
+      const second = await api('POST', `/api/customers/${asha}/addresses`, { body: ADDRESS });
+      await api('POST', `/api/customers/${asha}/addresses`, { body: { ...ADDRESS, address_type: 'shipping' } });
+
+      const deleted = await api('DELETE', `/api/addresses/${first.id}`);
+      assert.equal(deleted.status, 200);
+      assert.equal(deleted.body.default_address_id, second.body.addressId);
+      assert.equal((await api('DELETE', `/api/addresses/${first.id}`)).status, 404);
+      assert.equal((await api('GET', `/api/addresses/${first.id}`)).status, 404);
+      assert.equal((await getCustomer(asha)).addresses.length, 2);
+    });
+  });
+
+  describe('idempotency keys', () => {
+    test('a retry of POST /api/customers gets the first response instead of a 409', async () => {
+      const headers = { 'Idempotency-Key': 'create-asha-1' };
+      const first = await api('POST', '/api/customers', { body: CUSTOMERS.asha, headers });
+      assert.equal(first.status, 201);
+      assert.equal(first.headers.get('Idempotent-Replayed'), null);
+
+      // The same body with its fields in another order
+      const reordered = Object.fromEntries(Object.entries(CUSTOMERS.asha).reverse());
+      const retry = await api('POST', '/api/customers', { body: reordered, headers });
+      assert.equal(retry.status, 201);
+      assert.equal(retry.headers.get('Idempotent-Replayed'), 'true');
+      assert.deepEqual(retry.body, first.body);
+      assert.equal(await rowCount('SELECT COUNT(*) AS total FROM customers'), 1);
+
+      // Without the key it's a duplicate, as before
+      assert.equal((await api('POST', '/api/customers', { body: CUSTOMERS.asha })).status, 409);
+    });
+
+    test('retries of the address routes add the address once', async () => {
+      const { asha } = await createCustomers(api, 'asha');
+      const nested = await api('POST', `/api/customers/${asha}/addresses`, { body: ADDRESS, headers: { 'Idempotency-Key': 'address-1' } });
+      const nestedRetry = await api('POST', `/api/customers/${asha}/addresses`, { body: ADDRESS, headers: { 'Idempotency-Key': 'address-1' } });
+      assert.deepEqual(nestedRetry.body, nested.body);
+
+      const body = { customer_id: asha, ...ADDRESS, address_type: 'shipping' };
+      const flat = await api('POST', '/api/addresses', { body, headers: { 'Idempotency-Key': 'address-2' } });
+      const flatRetry = await api('POST', '/api/addresses', { body, headers: { 'Idempotency-Key': 'address-2' } });
+      assert.equal(flatRetry.status, 201);
+      assert.equal(flatRetry.body.address.id, flat.body.address.id);
+      assert.equal((await getCustomer(asha)).addresses.length, 3);
+    });
+
+    test('a key reused for a different request is rejected', async () => {
+      const headers = { 'Idempotency-Key': 'reused' };
+      const first = await api('POST', '/api/customers', { body: CUSTOMERS.asha, headers });
+      const otherBody = await api('POST', '/api/customers', { body: CUSTOMERS.ravi, headers });
+      assert.equal(otherBody.status, 422);
+      assert.deepEqual(otherBody.body.errors, [{ field: 'Idempotency-Key', error: 'Was already used for a different request.' }]);
+      const otherRoute = await api('POST', `/api/customers/${first.body.customerId}/addresses`, { body: ADDRESS, headers });
+      assert.equal(otherRoute.status, 422);
+      assert.equal(await rowCount('SELECT COUNT(*) AS total FROM addresses'), 1);
+
+      assert.equal((await api('POST', '/api/customers', { body: CUSTOMERS.ravi, headers: { 'Idempotency-Key': 'x'.repeat(256) } })).status, 422);
+    });
+
+    test('keys belong to the caller, are free again after an error and expire', async () => {
+      const headers = { 'Idempotency-Key': 'shared' };
+      await api('POST', '/api/customers', { body: CUSTOMERS.asha, headers });
+      // Another caller's key of the same name is theirs
+      const editor = await api('POST', '/api/customers', { body: CUSTOMERS.ravi, headers, key: EDITOR_KEY });
+      assert.equal(editor.status, 201);
+      assert.equal(editor.headers.get('Idempotent-Replayed'), null);
+
+      // A failed create stores nothing
+      const failed = await api('POST', '/api/customers', { body: CUSTOMERS.asha, headers: { 'Idempotency-Key': 'after-error' } });
+      assert.equal(failed.status, 409);
+      const fixed = await api('POST', '/api/customers', { body: CUSTOMERS.meena, headers: { 'Idempotency-Key': 'after-error' } });
+      assert.equal(fixed.status, 201);
+
+      await client.query("UPDATE idempotency_keys SET expires_at = $1 WHERE idempotency_key = 'after-error'", [new Date(Date.now() - 1000)]);
+      const afterExpiry = await api('POST', '/api/customers', { body: { ...CUSTOMERS.meena, last_name: 'Nair' }, headers: { 'Idempotency-Key': 'after-error' } });
+      assert.equal(afterExpiry.status, 201);
+      assert.equal(afterExpiry.headers.get('Idempotent-Replayed'), null);
+      assert.equal(await rowCount('SELECT COUNT(*) AS total FROM customers'), 4);
+    });
+  });
+
+  test('each test starts from an empty database', async () => {
+    assert.deepEqual((await api('GET', '/api/customers/count')).body, { count: 0 });
+    assert.equal(await rowCount('SELECT COUNT(*) AS total FROM audit_log'), 0);
+  });
+});
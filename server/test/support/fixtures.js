@@ -0,0 +1,60 @@
+// Fixtures for the integration tests: a few customers, created through the API so they get their
+// audit log and outbox rows like any other. Each test starts from an empty database (see
+// transactionalDb.js) and creates the ones it needs.
+
+const CUSTOMERS = {
+  asha: {
+    first_name: 'Asha',
+    last_name: 'Verma',
+    phone_number: '9876543210',
+    address_type: 'home',
+    address_details: '12 MG Road',
+    city: 'Pune',
+    state: 'Maharashtra',
+    pin_code: '411001',
+  },
+  ravi: {
+    first_name: 'Ravi',
+    last_name: 'Kumar',
+    phone_number: '9123456780',
+    address_type: 'home',
+    address_details: '7 Brigade Road',
+    city: 'Bangalore',
+    state: 'Karnataka',
+    pin_code: '560001',
+  },
+  meena: {
+    first_name: 'Meena',
+    last_name: 'Iyer',
+    phone_number: '9988776655',
+    address_type: 'shipping',
+    address_details: '3 Anna Salai',
+    city: 'Chennai',
+    state: 'Tamil Nadu',
+    pin_code: '600001',
+  },
+};
+
+// A second address for any of them
+const ADDRESS = {
+  address_type: 'billing',
+  address_details: '44 FC Road',
+  city: 'Pune',
+  state: 'Maharashtra',
+  pin_code: '411001',
+};
+
+// Creates the named CUSTOMERS with `api` (the tests' request helper). Returns their ids by name.
+async function createCustomers(api, ...names) {
+  const ids = {};
+  for (const name of names) {
+    const { status, body } = await api('POST', '/api/customers', { body: CUSTOMERS[name] });
+    if (status !== 201) {
+      throw new Error(`Fixture ${name} wasn't created: ${status} ${JSON.stringify(body)}`);
+    }
+    ids[name] = body.customerId;
+  }
+  return ids;
+}
+
+module.exports = { CUSTOMERS, ADDRESS, createCustomers };
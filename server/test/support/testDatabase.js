@@ -0,0 +1,22 @@
+// TEST_DATABASE_URL for the suites that need a database (integration and contract tests).
+//
+// Without it they're skipped, except on CI (CI set, as on GitHub Actions): there a missing
+// TEST_DATABASE_URL fails the run, so a green CI build means the database suites ran.
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+// Points the app's config at TEST_DATABASE_URL. Returns the suites' `skip` option: false when they
+// can run, otherwise the reason they're skipped. Call it before requiring db.js.
+function useTestDatabase() {
+  if (TEST_DATABASE_URL) {
+    process.env.DATABASE_URL = TEST_DATABASE_URL;
+    return false;
+  }
+  if (process.env.CI) {
+    throw new Error('TEST_DATABASE_URL must be set on CI, or the database suites would be skipped. ' +
+      'Point it at a throwaway PostgreSQL database (see .github/workflows/test.yml).');
+  }
+  return 'set TEST_DATABASE_URL to a throwaway PostgreSQL database to run these';
+}
+
+module.exports = { useTestDatabase };
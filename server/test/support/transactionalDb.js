@@ -0,0 +1,87 @@
+// Per-test isolation for the integration tests: the app runs on one connection inside a transaction
+// that the test rolls back, so nothing a test writes outlives it or is seen by the next test.
+//
+// transactionalDb(client, dialect) looks like db.js to createApp(). Every query goes through `client`;
+// the BEGIN/COMMIT/ROLLBACK of a route become a savepoint, and a statement outside one gets its own,
+// so a failing statement undoes only itself, as it would with autocommit. Deferrable constraints
+// (the one default address per customer) are checked when the route "commits", not at the end of
+// the test. PostgreSQL only. Requests must not overlap: there's one connection and one savepoint.
+
+const SAVEPOINT = 'app_transaction';
+
+function transactionalDb(client, dialect) {
+  let inTransaction = false;
+
+  async function statement(text, params) {
+    await client.query(`SAVEPOINT ${SAVEPOINT}`);
+    try {
+      const result = await client.query(text, params);
+      await client.query(`RELEASE SAVEPOINT ${SAVEPOINT}`);
+      return result;
+    } catch (err) {
+      await client.query(`ROLLBACK TO SAVEPOINT ${SAVEPOINT}`);
+      await client.query(`RELEASE SAVEPOINT ${SAVEPOINT}`);
+      throw err;
+    }
+  }
+
+  function query(text, params) {
+    // Cursors and other query objects run as they are; client.query() returns the cursor itself
+    if (typeof text !== 'string') {
+      return client.query(text, params);
+    }
+    return sql(text, params);
+  }
+
+  async function sql(text, params) {
+    switch (text.trim().toUpperCase()) {
+      case 'BEGIN':
+        inTransaction = true;
+        await client.query(`SAVEPOINT ${SAVEPOINT}`);
+        return client.query('SET CONSTRAINTS ALL DEFERRED');
+      case 'COMMIT':
+        inTransaction = false;
+        await client.query('SET CONSTRAINTS ALL IMMEDIATE');
+        return client.query(`RELEASE SAVEPOINT ${SAVEPOINT}`);
+      case 'ROLLBACK':
+        inTransaction = false;
+        await client.query(`ROLLBACK TO SAVEPOINT ${SAVEPOINT}`);
+        await client.query(`RELEASE SAVEPOINT ${SAVEPOINT}`);
+        return client.query('SET CONSTRAINTS ALL IMMEDIATE');
+      default:
+        return inTransaction ? client.query(text, params) : statement(text, params);
+    }
+  }
+
+  // What db.getClient() hands out: the same connection, which stays checked out until the test ends
+  const handle = {
+    query,
+    on: (event, listener) => client.on(event, listener),
+    removeListener: (event, listener) => client.removeListener(event, listener),
+    release: () => {},
+  };
+
+  return {
+    dialect,
+    query,
+    getClient: async () => handle,
+    end: async () => {},
+  };
+}
+
+// Starts the transaction a test runs in, on a client from db.getClient()
+async function beginTest(client) {
+  await client.query('BEGIN');
+  await client.query('SET CONSTRAINTS ALL IMMEDIATE');
+}
+
+// Undoes everything the test did and returns the client to the pool
+async function endTest(client) {
+  try {
+    await client.query('ROLLBACK');
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { transactionalDb, beginTest, endTest };
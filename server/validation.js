@@ -0,0 +1,229 @@
+// validation.js — schemas for everything the API accepts, and the rules shared by every
+// route that creates customers
+//
+// A schema maps field names to rules:
+//   type       'string' (the default), 'integer' (1 to MAX_ID), 'boolean' or 'list' (a non-empty array of strings)
+//   required   reject missing and empty values
+//   group      optional fields with the same group are required together: all or none
+//   notBlank   optional, but can't be sent empty (fields a partial update may leave out but not clear)
+//   maxLength  for strings, after normalizing
+//   pattern    for strings, with `message` as the error
+//   oneOf      allowed values (for lists, allowed items)
+//   normalize  applied to strings after trimming
+//   check      for strings, after normalizing: returns an error message, or null when the value is fine
+// validateInput() checks every field and reports every problem, not just the first.
+
+const { ADDRESS_TYPES } = require('./addresses');
+const { toE164 } = require('./phones');
+const { EVENT_PATTERNS } = require('./outbox');
+
+const PIN_CODE_PATTERN = /^\d{6}$/;
+
+// Largest integer field, the top of the database's integer ids
+const MAX_ID = 2147483647;
+
+const collapseSpaces = value => value.replace(/\s+/g, ' ');
+const removeSpaces = value => value.replace(/\s+/g, '');
+
+const ID = { type: 'integer', required: true };
+
+function checkWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return "Must be a URL.";
+  }
+  return ['http:', 'https:'].includes(url.protocol) ? null : "Must be an http or https URL.";
+}
+
+const CUSTOMER_SCHEMA = {
+  first_name: { required: true, maxLength: 100, normalize: collapseSpaces },
+  last_name: { required: true, maxLength: 100, normalize: collapseSpaces },
+  // Kept as entered; routes store its E.164 form alongside
+  phone_number: {
+    required: true,
+    maxLength: 32,
+    normalize: collapseSpaces,
+    check: value => (toE164(value) ? null : "Phone number is not a valid phone number."),
+  },
+};
+
+const ADDRESS_SCHEMA = {
+  address_type: { oneOf: ADDRESS_TYPES, normalize: value => value.toLowerCase() },
+  address_details: { required: true, maxLength: 500, normalize: collapseSpaces },
+  city: { required: true, maxLength: 100, normalize: collapseSpaces },
+  state: { required: true, maxLength: 100, normalize: collapseSpaces },
+  pin_code: { required: true, normalize: removeSpaces, pattern: PIN_CODE_PATTERN, message: "Pin code must be 6 digits." },
+};
+
+// `schema` with its required fields made optional, but required together as `group`
+function optionalGroup(schema, group) {
+  return Object.fromEntries(Object.entries(schema).map(([field, rules]) => [
+    field,
+    rules.required ? { ...rules, required: false, group } : rules,
+  ]));
+}
+
+const WEBHOOK_SCHEMA = {
+  url: { required: true, maxLength: 2000, check: checkWebhookUrl },
+  event_types: { type: 'list', oneOf: EVENT_PATTERNS },
+  description: { maxLength: 255, normalize: collapseSpaces },
+  active: { type: 'boolean' },
+};
+
+// `schema` for partial updates: every field optional, but required ones can't be cleared
+function partial(schema) {
+  return Object.fromEntries(Object.entries(schema).map(([field, rules]) => [
+    field,
+    rules.required ? { ...rules, required: false, notBlank: true } : rules,
+  ]));
+}
+
+const SCHEMAS = {
+  idParam: { id: ID },
+  addressParams: { id: ID, addressId: ID },
+  newCustomer: { ...CUSTOMER_SCHEMA, ...ADDRESS_SCHEMA },
+  // PUT /api/customers/:id adds an address only when all of its fields are given
+  customerUpdate: { ...CUSTOMER_SCHEMA, ...optionalGroup(ADDRESS_SCHEMA, 'address') },
+  newAddress: { ...ADDRESS_SCHEMA, is_default: { type: 'boolean' } },
+  newAddressWithCustomer: { customer_id: ID, ...ADDRESS_SCHEMA, is_default: { type: 'boolean' } },
+  addressUpdate: ADDRESS_SCHEMA,
+  customerPatch: partial(CUSTOMER_SCHEMA),
+  addressPatch: partial(ADDRESS_SCHEMA),
+  merge: { source_id: ID, target_id: ID },
+  pinCodeParam: { pin: { required: true, pattern: PIN_CODE_PATTERN, message: "Pin code must be 6 digits." } },
+  newWebhook: WEBHOOK_SCHEMA,
+  webhookPatch: partial(WEBHOOK_SCHEMA),
+  deadLetterQuery: { subscription_id: { type: 'integer' } },
+  changeStreamQuery: { customer_id: { type: 'integer' } },
+  searchQuery: { q: { maxLength: 200 } },
+  // The page bounds and cursor are checked further by pagination.js
+  trashQuery: {
+    limit: { type: 'integer' },
+    cursor: { maxLength: 2000 },
+    sort: { oneOf: ['deleted_at', 'id'] },
+    order: { oneOf: ['asc', 'desc'], normalize: value => value.toLowerCase() },
+  },
+  duplicatesQuery: { limit: { type: 'integer' } },
+  customerListQuery: {
+    q: { maxLength: 200 },
+    addressCount: { oneOf: ['single', 'multiple'] },
+  },
+};
+
+function isMissing(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// { error } or { value } for one present field
+function checkField(rules, raw) {
+  const type = rules.type || 'string';
+
+  if (type === 'integer') {
+    const value = typeof raw === 'string' && /^\d+$/.test(raw.trim()) ? Number(raw.trim()) : raw;
+    if (!Number.isSafeInteger(value) || value < 1 || value > MAX_ID) {
+      return { error: `Must be an integer between 1 and ${MAX_ID}.` };
+    }
+    return { value };
+  }
+
+  if (type === 'boolean') {
+    if (raw === true || raw === 'true') return { value: true };
+    if (raw === false || raw === 'false') return { value: false };
+    return { error: "Must be true or false." };
+  }
+
+  if (type === 'list') {
+    if (!Array.isArray(raw) || raw.length === 0 || raw.some(item => typeof item !== 'string')) {
+      return { error: "Must be a non-empty list of strings." };
+    }
+    const value = [...new Set(raw.map(item => item.trim()))];
+    if (rules.oneOf && value.some(item => !rules.oneOf.includes(item))) {
+      return { error: `Must only contain: ${rules.oneOf.join(', ')}.` };
+    }
+    return { value };
+  }
+
+  if (typeof raw !== 'string' && typeof raw !== 'number') {
+    return { error: "Must be a string." };
+  }
+  let value = String(raw).trim();
+  if (rules.normalize) {
+    value = rules.normalize(value);
+  }
+  if (rules.maxLength && value.length > rules.maxLength) {
+    return { error: `Must be at most ${rules.maxLength} characters.` };
+  }
+  if (rules.pattern && !rules.pattern.test(value)) {
+    return { error: rules.message };
+  }
+  if (rules.oneOf && !rules.oneOf.includes(value)) {
+    return { error: `Must be one of: ${rules.oneOf.join(', ')}.` };
+  }
+  const error = rules.check && rules.check(value);
+  if (error) {
+    return { error };
+  }
+  return { value };
+}
+
+// Checks `input` against `schema`. Returns { value, errors }: `value` holds the normalized
+// schema fields that were given (anything else is dropped), `errors` every problem as
+// [{ field, error }], empty when the input is valid.
+function validateInput(schema, input) {
+  const source = input && typeof input === 'object' ? input : {};
+  const value = {};
+  const errors = [];
+  const groups = new Map();
+  for (const [field, rules] of Object.entries(schema)) {
+    const raw = source[field];
+    if (rules.group) {
+      if (!groups.has(rules.group)) groups.set(rules.group, { given: false, missing: [] });
+      const group = groups.get(rules.group);
+      if (isMissing(raw)) group.missing.push(field);
+      else group.given = true;
+    }
+    if (isMissing(raw)) {
+      if (rules.required) {
+        errors.push({ field, error: "This field is required." });
+      } else if (rules.notBlank && raw !== undefined) {
+        errors.push({ field, error: "This field can't be empty." });
+      }
+      continue;
+    }
+    const result = checkField(rules, raw);
+    if (result.error) {
+      errors.push({ field, error: result.error });
+    } else {
+      value[field] = result.value;
+    }
+  }
+  for (const group of groups.values()) {
+    if (group.given) {
+      errors.push(...group.missing.map(field => ({ field, error: "This field is required." })));
+    }
+  }
+  return { value, errors };
+}
+
+// The id of a live customer with the same name and phone number (compared in E.164), or null.
+// `excludeId` leaves out the customer being updated.
+async function findDuplicateCustomer(client, { first_name, last_name, phone_e164 }, { excludeId = null } = {}) {
+  const params = [first_name, last_name, phone_e164];
+  let checkSql = "SELECT id FROM customers WHERE first_name = $1 AND last_name = $2 AND phone_e164 = $3 AND deleted_at IS NULL";
+  if (excludeId !== null) {
+    params.push(excludeId);
+    checkSql += ` AND id <> $${params.length}`;
+  }
+  const checkResult = await client.query(checkSql, params);
+  return checkResult.rowCount > 0 ? checkResult.rows[0].id : null;
+}
+
+module.exports = {
+  PIN_CODE_PATTERN,
+  MAX_ID,
+  SCHEMAS,
+  validateInput,
+  findDuplicateCustomer,
+};
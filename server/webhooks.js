@@ -0,0 +1,245 @@
+// webhooks.js — delivering outbox events to webhook subscriptions
+//
+// The dispatcher polls the outbox. Each new event becomes one delivery per active subscription
+// whose event_types match it; deliveries are POSTed as JSON:
+//   { "id": 42, "type": "customer.updated", "created_at": "...", "entity_type": "customer",
+//     "entity_id": 7, "customer_id": 7, "actor": "...", "data": { ...row }, "changes": { ... } }
+// with headers
+//   X-Webhook-Id: <event id>  (the same on every retry, for de-duplicating)
+//   X-Webhook-Event: <type>
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the subscription's secret>
+// Any 2xx response counts as delivered. Anything else is retried with exponential backoff
+// (30s, 1m, 2m, … capped at 1h) until WEBHOOK_MAX_ATTEMPTS, after which the delivery is
+// dead-lettered: kept with status 'dead' until it's retried by hand or its subscription is deleted.
+// Deliveries are claimed with SKIP LOCKED and a lease, so several server instances can dispatch at once.
+//
+// Settings: WEBHOOK_DISPATCHER (on/off), WEBHOOK_POLL_INTERVAL_MS, WEBHOOK_TIMEOUT_MS,
+// WEBHOOK_MAX_ATTEMPTS, OUTBOX_RETENTION_DAYS.
+
+const crypto = require('crypto');
+const db = require('./db');
+const { matchesEventType, eventBody } = require('./outbox');
+const { logger } = require('./logger');
+const { config } = require('./config');
+
+const POLL_INTERVAL_MS = config.webhooks.pollIntervalMs;
+const TIMEOUT_MS = config.webhooks.timeoutMs;
+const MAX_ATTEMPTS = config.webhooks.maxAttempts;
+const RETENTION_DAYS = config.webhooks.outboxRetentionDays;
+const BATCH_SIZE = 100;
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+function createSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// The X-Webhook-Signature value for `body` sent at `timestamp` (unix seconds)
+function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${hmac}`;
+}
+
+// A subscription as the API shows it: the secret is only returned when it's created
+function publicSubscription(row) {
+  const { secret, ...subscription } = row;
+  return subscription;
+}
+
+// Delay before the next attempt, after `attempts` failed ones
+function backoffDelay(attempts) {
+  return Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+}
+
+function placeholders(values, offset = 0) {
+  return values.map((value, i) => `$${i + offset + 1}`).join(', ');
+}
+
+// Turns undispatched events into deliveries for the subscriptions that want them. Returns the number of events.
+async function fanOut() {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    const eventSql = `SELECT id, event_type FROM outbox_events WHERE dispatched_at IS NULL ORDER BY id LIMIT ${BATCH_SIZE} FOR UPDATE SKIP LOCKED`;
+    const events = (await client.query(eventSql)).rows;
+    if (events.length === 0) {
+      await client.query('COMMIT');
+      return 0;
+    }
+    const subscriptions = (await client.query("SELECT id, event_types FROM webhook_subscriptions WHERE active = TRUE")).rows;
+    for (const event of events) {
+      for (const subscription of subscriptions) {
+        if (matchesEventType(subscription.event_types, event.event_type)) {
+          await client.query("INSERT INTO webhook_deliveries (subscription_id, event_id) VALUES ($1, $2)", [subscription.id, event.id]);
+        }
+      }
+    }
+    const ids = events.map(event => event.id);
+    await client.query(`UPDATE outbox_events SET dispatched_at = $1 WHERE id IN (${placeholders(ids, 1)})`, [new Date(), ...ids]);
+    await client.query('COMMIT');
+    return events.length;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Claims due deliveries by moving their next attempt past the request timeout, so no other
+// dispatcher picks them up meanwhile; if this one dies mid-delivery they come due again.
+async function claimDueDeliveries() {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    const now = new Date();
+    const dueSql = `
+      SELECT id FROM webhook_deliveries
+      WHERE status = 'pending' AND next_attempt_at <= $1
+      ORDER BY next_attempt_at
+      LIMIT ${BATCH_SIZE}
+      FOR UPDATE SKIP LOCKED
+    `;
+    const ids = (await client.query(dueSql, [now])).rows.map(row => row.id);
+    if (ids.length > 0) {
+      const lease = new Date(now.getTime() + 2 * TIMEOUT_MS);
+      await client.query(`UPDATE webhook_deliveries SET next_attempt_at = $1 WHERE id IN (${placeholders(ids, 1)})`, [lease, ...ids]);
+    }
+    await client.query('COMMIT');
+    return ids;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// One attempt at one delivery. Returns { status, error }; status is null when no response came back.
+async function attemptDelivery(delivery) {
+  const body = JSON.stringify(eventBody({ ...delivery, id: delivery.event_id }));
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Qwoen-Webhooks/1.0',
+        'X-Webhook-Id': String(delivery.event_id),
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Signature': signPayload(delivery.secret, timestamp, body),
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    await response.body?.cancel();
+    return { status: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+  } catch (err) {
+    return { status: null, error: err.message };
+  }
+}
+
+async function recordAttempt(delivery, { status, error }) {
+  const now = new Date();
+  const attempts = delivery.attempts + 1;
+  let next;
+  if (!error) {
+    next = { status: 'delivered', nextAttemptAt: now, deliveredAt: now };
+  } else if (attempts >= MAX_ATTEMPTS) {
+    next = { status: 'dead', nextAttemptAt: now, deliveredAt: null };
+  } else {
+    next = { status: 'pending', nextAttemptAt: new Date(now.getTime() + backoffDelay(attempts)), deliveredAt: null };
+  }
+  const sql = `
+    UPDATE webhook_deliveries
+    SET status = $1, attempts = $2, next_attempt_at = $3, last_attempt_at = $4, last_status = $5, last_error = $6, delivered_at = $7
+    WHERE id = $8
+  `;
+  await db.query(sql, [next.status, attempts, next.nextAttemptAt, now, status, error, next.deliveredAt, delivery.id]);
+}
+
+// Attempts every due delivery once. Returns the number attempted.
+async function deliverDue() {
+  const ids = await claimDueDeliveries();
+  if (ids.length === 0) return 0;
+  const sql = `
+    SELECT d.id, d.attempts, d.event_id, e.event_type, e.payload, e.created_at, s.url, s.secret
+    FROM webhook_deliveries d
+    JOIN outbox_events e ON e.id = d.event_id
+    JOIN webhook_subscriptions s ON s.id = d.subscription_id
+    WHERE d.id IN (${placeholders(ids)})
+  `;
+  const deliveries = (await db.query(sql, ids)).rows;
+  await Promise.all(deliveries.map(async delivery => {
+    await recordAttempt(delivery, await attemptDelivery(delivery));
+  }));
+  return deliveries.length;
+}
+
+// Deletes events older than OUTBOX_RETENTION_DAYS that have nothing left to deliver
+async function pruneOutbox() {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const sql = `
+    DELETE FROM outbox_events
+    WHERE dispatched_at IS NOT NULL AND created_at < $1
+      AND NOT EXISTS (
+        SELECT 1 FROM webhook_deliveries d WHERE d.event_id = outbox_events.id AND d.status <> 'delivered'
+      )
+  `;
+  await db.query(sql, [cutoff]);
+}
+
+// Fans out and delivers until there's nothing more to do right now
+async function dispatchOnce() {
+  while ((await fanOut()) === BATCH_SIZE);
+  while ((await deliverDue()) === BATCH_SIZE);
+}
+
+// Starts polling the outbox. Returns { stop() }, which resolves once the current round has finished.
+function startDispatcher({ intervalMs = POLL_INTERVAL_MS } = {}) {
+  let timer = null;
+  let running = null;
+  let stopped = false;
+  let lastPrune = 0;
+
+  const tick = () => {
+    running = (async () => {
+      await dispatchOnce();
+      if (Date.now() - lastPrune > PRUNE_INTERVAL_MS) {
+        await pruneOutbox();
+        lastPrune = Date.now();
+      }
+    })()
+      .catch(err => logger.error('webhook dispatch failed', { err }))
+      .finally(() => {
+        running = null;
+        if (!stopped) timer = setTimeout(tick, intervalMs);
+      });
+  };
+  timer = setTimeout(tick, 0);
+
+  return {
+    stop: async () => {
+      stopped = true;
+      clearTimeout(timer);
+      await running;
+    },
+  };
+}
+
+// Whether this process should run the dispatcher (WEBHOOK_DISPATCHER=off leaves it to other instances)
+function dispatcherEnabled() {
+  return config.webhooks.dispatcher;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  createSecret,
+  signPayload,
+  publicSubscription,
+  dispatchOnce,
+  startDispatcher,
+  dispatcherEnabled,
+};